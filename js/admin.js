@@ -0,0 +1,254 @@
+/**
+ * Admin Inbox
+ * Entry point for admin/index.html: lists, searches and manages contact submissions
+ * through the token-protected /api/admin/contacts endpoints.
+ */
+
+import apiService, { apiConfig, setAuthToken } from './modules/services/apiService.js';
+import notificationSystem from './modules/utils/notifications.js';
+import { createElement } from './modules/ui/uiComponents.js';
+
+// The token only lives for the browser tab session
+const TOKEN_STORAGE_KEY = 'portfolioAdminToken';
+
+// Current list query, kept between reloads of the list
+const listState = {
+    page: 1,
+    totalPages: 1
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+    const domElements = {
+        tokenForm: document.getElementById('tokenForm'),
+        tokenInput: document.getElementById('adminToken'),
+        inbox: document.getElementById('inbox'),
+        filterForm: document.getElementById('filterForm'),
+        searchInput: document.getElementById('searchInput'),
+        statusSelect: document.getElementById('statusSelect'),
+        fromInput: document.getElementById('fromInput'),
+        toInput: document.getElementById('toInput'),
+        logoutBtn: document.getElementById('logoutBtn'),
+        summary: document.getElementById('summary'),
+        contactList: document.getElementById('contactList'),
+        prevPageBtn: document.getElementById('prevPageBtn'),
+        nextPageBtn: document.getElementById('nextPageBtn'),
+        pageInfo: document.getElementById('pageInfo')
+    };
+
+    initLogin(domElements);
+    initFilters(domElements);
+    initPagination(domElements);
+
+    const savedToken = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    if (savedToken) {
+        openInbox(domElements, savedToken);
+    }
+});
+
+/**
+ * Initialize the token form and logout button
+ * @param {Object} domElements - Cached DOM elements
+ */
+function initLogin(domElements) {
+    domElements.tokenForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        openInbox(domElements, domElements.tokenInput.value.trim());
+    });
+
+    domElements.logoutBtn.addEventListener('click', () => {
+        sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+        setAuthToken(null);
+        domElements.inbox.hidden = true;
+        domElements.tokenForm.hidden = false;
+        domElements.contactList.innerHTML = '';
+    });
+}
+
+/**
+ * Initialize the search and filter form
+ * @param {Object} domElements - Cached DOM elements
+ */
+function initFilters(domElements) {
+    domElements.filterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        listState.page = 1;
+        loadContacts(domElements);
+    });
+
+    domElements.statusSelect.addEventListener('change', () => {
+        listState.page = 1;
+        loadContacts(domElements);
+    });
+}
+
+/**
+ * Initialize the pagination buttons
+ * @param {Object} domElements - Cached DOM elements
+ */
+function initPagination(domElements) {
+    domElements.prevPageBtn.addEventListener('click', () => {
+        if (listState.page > 1) {
+            listState.page--;
+            loadContacts(domElements);
+        }
+    });
+
+    domElements.nextPageBtn.addEventListener('click', () => {
+        if (listState.page < listState.totalPages) {
+            listState.page++;
+            loadContacts(domElements);
+        }
+    });
+}
+
+/**
+ * Use a token and show the inbox if the server accepts it
+ * @param {Object} domElements - Cached DOM elements
+ * @param {string} token - Admin token
+ */
+function openInbox(domElements, token) {
+    setAuthToken(token);
+
+    loadContacts(domElements).then(loaded => {
+        if (!loaded) {
+            setAuthToken(null);
+            sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+            return;
+        }
+        sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+        domElements.tokenForm.hidden = true;
+        domElements.inbox.hidden = false;
+    });
+}
+
+/**
+ * Build the list query from the filter form
+ * @param {Object} domElements - Cached DOM elements
+ * @returns {Object} Query parameters
+ */
+function getListQuery(domElements) {
+    const query = {
+        status: domElements.statusSelect.value,
+        page: listState.page
+    };
+
+    if (domElements.searchInput.value.trim()) query.q = domElements.searchInput.value.trim();
+    if (domElements.fromInput.value) query.from = domElements.fromInput.value;
+    if (domElements.toInput.value) query.to = domElements.toInput.value;
+
+    return query;
+}
+
+/**
+ * Load and render the current page of contacts
+ * @param {Object} domElements - Cached DOM elements
+ * @returns {Promise<boolean>} Whether the contacts were loaded
+ */
+function loadContacts(domElements) {
+    return apiService.get(apiConfig.endpoints.adminContacts, getListQuery(domElements))
+        .then(result => {
+            listState.totalPages = result.totalPages;
+            renderContacts(domElements, result);
+            return true;
+        })
+        .catch(error => {
+            notificationSystem.show(error.message || 'Could not load contacts', 'error');
+            return false;
+        });
+}
+
+/**
+ * Render the contact list, summary and pagination
+ * @param {Object} domElements - Cached DOM elements
+ * @param {Object} result - List response from the admin API
+ */
+function renderContacts(domElements, result) {
+    const fragment = document.createDocumentFragment();
+    result.contacts.forEach(contact => {
+        fragment.appendChild(createContactItem(domElements, contact));
+    });
+
+    domElements.contactList.innerHTML = '';
+    domElements.contactList.appendChild(fragment);
+
+    domElements.summary.textContent = result.total === 0
+        ? 'No messages match the current filters.'
+        : `${result.total} message${result.total === 1 ? '' : 's'}`;
+    domElements.pageInfo.textContent = `Page ${result.page} of ${result.totalPages}`;
+    domElements.prevPageBtn.disabled = result.page <= 1;
+    domElements.nextPageBtn.disabled = result.page >= result.totalPages;
+}
+
+/**
+ * Create a list item for a contact submission
+ * @param {Object} domElements - Cached DOM elements
+ * @param {Object} contact - Contact submission
+ * @returns {HTMLElement} List item
+ */
+function createContactItem(domElements, contact) {
+    const item = createElement('li', {
+        className: `admin-contact${contact.read ? '' : ' unread'}${contact.archived ? ' archived' : ''}`
+    });
+
+    const header = createElement('div', { className: 'admin-contact-header' });
+    header.appendChild(createElement('strong', { textContent: contact.subject || '(no subject)' }));
+    header.appendChild(createElement('span', {
+        className: 'admin-contact-meta',
+        textContent: `${contact.name} <${contact.email}> · ${new Date(contact.receivedAt).toLocaleString()}`
+    }));
+
+    const message = createElement('p', { className: 'admin-contact-message', textContent: contact.message });
+
+    const actions = createElement('div', { className: 'admin-contact-actions' });
+    const addAction = (text, icon, onClick) => {
+        const button = createElement('button', {
+            className: 'card-link',
+            attributes: { type: 'button' },
+            innerHTML: `<i class="${icon}"></i> `
+        });
+        button.appendChild(document.createTextNode(text));
+        button.addEventListener('click', onClick);
+        actions.appendChild(button);
+    };
+
+    addAction(contact.read ? 'Mark unread' : 'Mark read', 'fas fa-envelope-open',
+        () => updateContact(domElements, contact.id, { read: !contact.read }));
+    addAction(contact.archived ? 'Unarchive' : 'Archive', 'fas fa-archive',
+        () => updateContact(domElements, contact.id, { archived: !contact.archived }));
+    addAction('Delete', 'fas fa-trash', () => deleteContact(domElements, contact));
+
+    item.appendChild(header);
+    item.appendChild(message);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Update a contact's read or archived status and reload the list
+ * @param {Object} domElements - Cached DOM elements
+ * @param {string} id - Submission id
+ * @param {Object} changes - Status changes
+ */
+function updateContact(domElements, id, changes) {
+    apiService.put(`${apiConfig.endpoints.adminContacts}/${encodeURIComponent(id)}`, changes)
+        .then(() => loadContacts(domElements))
+        .catch(error => notificationSystem.show(error.message || 'Could not update message', 'error'));
+}
+
+/**
+ * Delete a contact after confirmation and reload the list
+ * @param {Object} domElements - Cached DOM elements
+ * @param {Object} contact - Contact submission
+ */
+function deleteContact(domElements, contact) {
+    if (!window.confirm(`Delete the message from ${contact.name}? This cannot be undone.`)) {
+        return;
+    }
+
+    apiService.delete(`${apiConfig.endpoints.adminContacts}/${encodeURIComponent(contact.id)}`)
+        .then(() => {
+            notificationSystem.show('Message deleted', 'success');
+            return loadContacts(domElements);
+        })
+        .catch(error => notificationSystem.show(error.message || 'Could not delete message', 'error'));
+}
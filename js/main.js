@@ -93,20 +93,22 @@ function initProjects(domElements) {
         // Core handlers
         handleProjectOverview: eventHandlersModule.handleProjectOverview,
         
-        // Project-specific handlers
-        launchEcosystemSimulation: eventHandlersModule.launchEcosystemSimulation,
-        launchCodeProcessor: eventHandlersModule.launchCodeProcessor
+        // Launches any project registered in server/launchers.js
+        launchProject: eventHandlersModule.launchProject,
+        getLaunchPreflight: businessLogicModule.getLaunchPreflight
         
         // New handlers can be added here without changing the UI components
     };
     
-    // Populate project grids with the handler registry
-    uiComponentsModule.populateProjectGrid(domElements.projectsGrid, 'codegymProjects', handlerRegistry);
-    uiComponentsModule.populateProjectGrid(domElements.commercialGrid, 'commercialProjects', handlerRegistry);
-    uiComponentsModule.populateProjectGrid(domElements.teamGrid, 'teamProjects', handlerRegistry);
-    
-    // Initialize lazy loading for images
-    initLazyLoading();
+    // Load projects from the API when enabled, then populate project grids with the handler registry
+    businessLogicModule.loadRemoteProjects().then(() => {
+        uiComponentsModule.populateProjectGrid(domElements.projectsGrid, 'codegymProjects', handlerRegistry);
+        uiComponentsModule.populateProjectGrid(domElements.commercialGrid, 'commercialProjects', handlerRegistry);
+        uiComponentsModule.populateProjectGrid(domElements.teamGrid, 'teamProjects', handlerRegistry);
+        
+        // Initialize lazy loading for images
+        initLazyLoading();
+    });
 }
 
 /**
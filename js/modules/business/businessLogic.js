@@ -5,7 +5,8 @@
 
 import apiService from '../services/apiService.js';
 import { isValidEmail, validateFormWithNotifications } from '../utils/validation.js';
-import { getProjectConfig, getProjectByKey } from '../data/projectData.js';
+import { getProjectConfig, getProjectByKey, setRemoteProjects } from '../data/projectData.js';
+import { getLaunchParameterSchema } from '../data/launchParameters.js';
 import { isFeatureEnabled } from '../config/appConfig.js';
 import { createError, handleError } from '../utils/errorHandler.js';
 
@@ -55,6 +56,10 @@ const generateProjectOverview = (projectKey) => {
                     ${generateListItems(project.overview.instructions, true)}
                 </ol>
             </div>
+            
+            ${generateLaunchParametersForm(projectKey)}
+            
+            ${generateLaunchHistorySection(projectKey)}
         `;
     } catch (error) {
         const standardError = handleError(createError('Error generating project overview', 'ui', 'error', error));
@@ -62,6 +67,121 @@ const generateProjectOverview = (projectKey) => {
     }
 };
 
+/**
+ * Generate the launch settings form for projects whose launcher accepts parameters
+ * Fields come from the shared parameter schema (data/launchParameters.js), grouped by their group
+ * @param {string} projectKey - Key of the project
+ * @returns {string} HTML for the form section, or an empty string
+ */
+const generateLaunchParametersForm = (projectKey) => {
+    const schema = getLaunchParameterSchema(projectKey);
+    const project = getProjectByKey(projectKey);
+    
+    if (!schema || !project || !project.capabilities || !project.capabilities.hasLaunch) {
+        return '';
+    }
+    
+    const groups = Object.entries(schema).reduce((result, [field, rules]) => {
+        const group = rules.group || 'Settings';
+        (result[group] = result[group] || []).push([field, rules]);
+        return result;
+    }, {});
+    
+    const fieldsets = Object.entries(groups).map(([group, fields]) => `
+        <fieldset class="launch-parameters-group">
+            <legend>${escapeHtml(group)}</legend>
+            ${fields.map(([field, rules]) => `
+                <div class="form-group">
+                    <label for="launch-param-${field}">${escapeHtml(rules.label || field)}${rules.unit ? ` (${escapeHtml(rules.unit)})` : ''}</label>
+                    <input type="number" id="launch-param-${field}" name="${field}"
+                        value="${rules.default}" min="${rules.min}" max="${rules.max}" step="${rules.step || 1}"
+                        ${rules.required ? 'required' : ''}>
+                </div>
+            `).join('')}
+        </fieldset>
+    `).join('');
+    
+    return `
+        <div class="overview-section parameters-section">
+            <h3>Launch Settings</h3>
+            <form class="launch-parameters-form" data-project-key="${escapeHtml(projectKey)}" novalidate>
+                <div class="launch-presets">
+                    <label for="launch-preset">Preset</label>
+                    <select id="launch-preset" name="preset">
+                        <option value="">Custom</option>
+                    </select>
+                    <button type="button" class="btn btn-secondary" data-action="delete-preset" disabled>Delete</button>
+                </div>
+                ${fieldsets}
+                <div class="launch-presets">
+                    <label for="launch-preset-name">Save as</label>
+                    <input type="text" id="launch-preset-name" name="presetName" maxlength="50" placeholder="Preset name">
+                    <button type="button" class="btn btn-secondary" data-action="save-preset">Save preset</button>
+                </div>
+                <button type="submit" class="btn btn-primary">Launch with these settings</button>
+            </form>
+        </div>
+    `;
+};
+
+/**
+ * Generate the placeholder for a launchable project's recent launches
+ * The list is filled in once the overview is open (see renderLaunchHistory)
+ * @param {string} projectKey - Key of the project
+ * @returns {string} HTML for the history section, or an empty string
+ */
+const generateLaunchHistorySection = (projectKey) => {
+    const project = getProjectByKey(projectKey);
+    if (!project || !project.capabilities || !project.capabilities.hasLaunch) {
+        return '';
+    }
+    
+    return `
+        <div class="overview-section launch-history-section">
+            <h3>Recent Launches</h3>
+            <ul class="launch-history" data-project-key="${escapeHtml(projectKey)}">
+                <li class="launch-history-empty">Loading...</li>
+            </ul>
+        </div>
+    `;
+};
+
+/**
+ * Describe how a launch history entry ended
+ * @param {Object} entry - History entry from the server
+ * @returns {string} Short outcome such as "exited (code 0) after 42s"
+ */
+const describeLaunchOutcome = (entry) => {
+    const parts = [entry.status === 'running' && entry.phase ? entry.phase : entry.status];
+    if (entry.exitCode !== null && entry.exitCode !== undefined) {
+        parts.push(`(code ${entry.exitCode})`);
+    }
+    if (typeof entry.durationMs === 'number') {
+        parts.push(`after ${Math.round(entry.durationMs / 1000)}s`);
+    }
+    return parts.join(' ');
+};
+
+/**
+ * Generate the list items for recent launches
+ * @param {Array} entries - History entries from the server, newest first
+ * @returns {string} HTML string of list items
+ */
+const renderLaunchHistory = (entries) => {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return '<li class="launch-history-empty">No launches yet</li>';
+    }
+    
+    return entries.map(entry => `
+        <li class="launch-history-entry ${escapeHtml(entry.status)}">
+            <time datetime="${escapeHtml(entry.requestedAt)}">${escapeHtml(new Date(entry.requestedAt).toLocaleString())}</time>
+            <span class="launch-history-status">${escapeHtml(describeLaunchOutcome(entry))}</span>
+            ${entry.preset ? `<span class="launch-history-preset">${escapeHtml(entry.preset)}</span>` : ''}
+            ${entry.error ? `<span class="launch-history-error">${escapeHtml(entry.error)}</span>` : ''}
+        </li>
+    `).join('');
+};
+
 /**
  * Generate HTML list items from an array
  * @param {Array} items - Array of items to convert to list items
@@ -113,22 +233,30 @@ const submitContactForm = (formData) => {
 };
 
 /**
- * Launch the ecosystem simulation
+ * Launch an application through the server's launcher registry
+ * @param {string} projectKey - Key of the project to launch
+ * @param {Object} [options] - Launch options for launchers that accept parameters
+ * @param {string} [options.preset] - Name of a parameter preset
+ * @param {Object} [options.parameters] - Parameter values, applied over the preset
  * @returns {Promise} Promise resolving to launch result with standardized format
  * @throws {Error} If launch fails or feature is disabled
  */
-const launchEcosystemSimulation = () => {
-    // Check if the ecosystem simulation feature is enabled
-    if (!isFeatureEnabled('ecosystemSimulation')) {
+const launchProject = (projectKey, options = {}) => {
+    const project = getProjectByKey(projectKey);
+    const name = project ? project.title : projectKey;
+    const featureFlag = project && project.capabilities && project.capabilities.featureFlag;
+    
+    // Check if the project's launch feature is enabled
+    if (featureFlag && !isFeatureEnabled(featureFlag)) {
         return Promise.reject({
             success: false,
-            message: 'Ecosystem Simulation is currently disabled',
+            message: `${name} is currently disabled`,
             userMessage: 'This feature is currently unavailable. Please try again later.'
         });
     }
     
     // Delegate to the API service and ensure consistent response format
-    return apiService.launchEcosystemSimulation()
+    return apiService.launchProject(projectKey, name, options)
         .then(response => {
             // Handle redirect response (for production environment)
             if (response.redirect) {
@@ -139,36 +267,84 @@ const launchEcosystemSimulation = () => {
             // Ensure we have a standardized response format
             return {
                 success: true,
-                message: response.message || 'Ecosystem Simulation launched successfully!',
+                message: response.message || `${name} launched successfully!`,
                 ...response
             };
         });
 };
 
 /**
- * Launch the Code Processor Python application
- * @returns {Promise} Promise resolving to launch result with standardized format
- * @throws {Error} If launch fails or feature is disabled
+ * Check whether a project can be launched on the server
+ * @param {string} projectKey - Key of the project
+ * @returns {Promise<Object|null>} Preflight result, or null if the server could not be asked
  */
-const launchCodeProcessor = () => {
-    // Check if the Code Processor feature is enabled
-    if (!isFeatureEnabled('codeProcessor')) {
-        return Promise.reject({
-            success: false,
-            message: 'Code Processor is currently disabled',
-            userMessage: 'This feature is currently unavailable. Please try again later.'
+const getLaunchPreflight = (projectKey) => {
+    return apiService.getLaunchPreflight(projectKey)
+        .then(response => response.preflight)
+        .catch(error => {
+            handleError(createError(`Launch preflight failed for ${projectKey}`, 'api', 'warning', error));
+            return null;
         });
+};
+
+/**
+ * Load the most recent launches of a project
+ * @param {string} projectKey - Key of the project
+ * @param {number} [count=5] - Number of launches to load
+ * @returns {Promise<Array>} History entries, newest first
+ */
+const getRecentLaunches = (projectKey, count = 5) => {
+    return apiService.getLaunchHistory({ key: projectKey, pageSize: count }).then(response => response.launches);
+};
+
+/**
+ * Load the parameter presets of a launcher
+ * @param {string} projectKey - Key of the project
+ * @returns {Promise<Array>} Presets: { name, builtIn, parameters }
+ */
+const getLaunchPresets = (projectKey) => {
+    return apiService.getLaunchPresets(projectKey).then(response => response.presets);
+};
+
+/**
+ * Save launch parameters as a named preset on the server
+ * @param {string} projectKey - Key of the project
+ * @param {string} name - Preset name
+ * @param {Object} parameters - Parameter values
+ * @returns {Promise<Object>} The saved preset
+ */
+const saveLaunchPreset = (projectKey, name, parameters) => {
+    return apiService.saveLaunchPreset(projectKey, name, parameters).then(response => response.preset);
+};
+
+/**
+ * Delete a saved launch preset
+ * @param {string} projectKey - Key of the project
+ * @param {string} name - Preset name
+ * @returns {Promise} Promise resolving when the preset is deleted
+ */
+const deleteLaunchPreset = (projectKey, name) => {
+    return apiService.deleteLaunchPreset(projectKey, name);
+};
+
+/**
+ * Load project data from the projects API and use it instead of the static arrays
+ * Falls back to the static project data if the API is unavailable
+ * @returns {Promise<boolean>} Whether the API data is now in use
+ */
+const loadRemoteProjects = () => {
+    if (!isFeatureEnabled('remoteProjectData')) {
+        return Promise.resolve(false);
     }
     
-    // Delegate to the API service and ensure consistent response format
-    return apiService.launchCodeProcessor()
+    return apiService.getProjects()
         .then(response => {
-            // Ensure we have a standardized response format
-            return {
-                success: true,
-                message: response.message || 'Code Processor launched successfully!',
-                ...response
-            };
+            setRemoteProjects(response.projects);
+            return true;
+        })
+        .catch(error => {
+            handleError(createError('Falling back to static project data', 'api', 'warning', error));
+            return false;
         });
 };
 
@@ -187,8 +363,14 @@ export {
     generateListItems,
     escapeHtml,
     submitContactForm,
-    launchEcosystemSimulation,
-    launchCodeProcessor,
+    launchProject,
+    getLaunchPreflight,
+    getRecentLaunches,
+    renderLaunchHistory,
+    getLaunchPresets,
+    saveLaunchPreset,
+    deleteLaunchPreset,
+    loadRemoteProjects,
     validateFormData,
     isValidEmail,
     isFeatureEnabled
@@ -18,6 +18,7 @@ export const featureFlags = {
     ecosystemSimulation: true,
     caesarCipher: true,
     codeProcessor: true,
+    remoteProjectData: false, // Load projects from /api/projects instead of the static arrays
     
     // UI features
     darkMode: false,  // Future feature
@@ -108,7 +109,12 @@ export const formConfig = {
         required: 'This field is required',
         email: 'Please enter a valid email address',
         minLength: (length) => `Please enter at least ${length} characters`,
-        maxLength: (length) => `Please enter no more than ${length} characters`
+        maxLength: (length) => `Please enter no more than ${length} characters`,
+        pattern: 'Please match the requested format',
+        integer: 'Please enter a whole number',
+        min: (min) => `Please enter a value of at least ${min}`,
+        max: (max) => `Please enter a value of at most ${max}`,
+        invalid: 'Please enter a valid value'
     },
     // Form submission settings
     submission: {
@@ -0,0 +1,105 @@
+/**
+ * Launch Parameters Module
+ * Settings that launchable projects accept, keyed by project key.
+ *
+ * Each schema is a validation schema (see utils/validation.js) whose fields also carry
+ * form metadata: group, default, step and unit. The same schema drives the parameter
+ * form in the project overview and the validation of POST /api/launch/:key on the server
+ * (loaded through server/utils/sharedModules.js), so this module must stay free of DOM and Node APIs.
+ *
+ * @module data/launchParameters
+ */
+
+/**
+ * Counts the organisms placed on the grid at start-up
+ * @param {Object} data - Parameter values
+ * @returns {number} Plants, herbivores and carnivores together
+ */
+const countOrganisms = (data) => {
+    return ['initialPlants', 'initialHerbivores', 'initialCarnivores']
+        .reduce((total, field) => total + (Number(data[field]) || 0), 0);
+};
+
+/**
+ * Parameter schemas by project key
+ */
+export const launchParameterSchemas = {
+    ecosystem: {
+        gridWidth: { label: 'Grid width', group: 'World', unit: 'cells', required: true, integer: true, min: 10, max: 200, default: 60 },
+        gridHeight: { label: 'Grid height', group: 'World', unit: 'cells', required: true, integer: true, min: 10, max: 200, default: 40 },
+        initialPlants: { label: 'Plants', group: 'Initial species', required: true, integer: true, min: 0, max: 5000, default: 300 },
+        initialHerbivores: { label: 'Herbivores', group: 'Initial species', required: true, integer: true, min: 0, max: 1000, default: 60 },
+        initialCarnivores: {
+            label: 'Carnivores',
+            group: 'Initial species',
+            required: true,
+            integer: true,
+            min: 0,
+            max: 500,
+            default: 15,
+            validate: (value, data) => {
+                const cells = Number(data.gridWidth) * Number(data.gridHeight);
+                return countOrganisms(data) <= cells || `The grid only has room for ${cells} organisms`;
+            }
+        },
+        plantEnergy: { label: 'Energy per plant', group: 'Energy', required: true, integer: true, min: 1, max: 100, default: 10 },
+        herbivoreStartEnergy: { label: 'Herbivore start energy', group: 'Energy', required: true, integer: true, min: 1, max: 500, default: 40 },
+        carnivoreStartEnergy: { label: 'Carnivore start energy', group: 'Energy', required: true, integer: true, min: 1, max: 500, default: 60 },
+        moveCost: { label: 'Energy per move', group: 'Energy', required: true, integer: true, min: 0, max: 50, default: 1 },
+        reproductionEnergy: { label: 'Reproduction threshold', group: 'Energy', required: true, integer: true, min: 1, max: 1000, default: 80 },
+        tickSpeed: { label: 'Tick speed', group: 'Speed', unit: 'ms', required: true, integer: true, min: 10, max: 5000, step: 10, default: 200 }
+    }
+};
+
+/**
+ * Presets that ship with the portfolio; saved presets cannot replace them
+ */
+export const builtInPresets = {
+    ecosystem: {
+        'Balanced': {},
+        'Predator pressure': { initialHerbivores: 80, initialCarnivores: 40, carnivoreStartEnergy: 90 },
+        'Sparse world': { gridWidth: 120, gridHeight: 80, initialPlants: 150, initialHerbivores: 20, initialCarnivores: 4 },
+        'Fast forward': { tickSpeed: 20 }
+    }
+};
+
+/**
+ * Gets the parameter schema of a project
+ * @param {string} projectKey - Project key
+ * @returns {Object|null} Schema, or null when the project takes no parameters
+ */
+export const getLaunchParameterSchema = (projectKey) => {
+    return launchParameterSchemas[projectKey] || null;
+};
+
+/**
+ * Gets the default parameter values of a project
+ * @param {string} projectKey - Project key
+ * @returns {Object} Field name to default value
+ */
+export const getDefaultParameters = (projectKey) => {
+    const schema = getLaunchParameterSchema(projectKey) || {};
+    return Object.fromEntries(Object.entries(schema).map(([field, rules]) => [field, rules.default]));
+};
+
+/**
+ * Gets the built-in presets of a project with all values filled in
+ * @param {string} projectKey - Project key
+ * @returns {Object} Preset name to parameter values
+ */
+export const getBuiltInPresets = (projectKey) => {
+    const defaults = getDefaultParameters(projectKey);
+    return Object.fromEntries(
+        Object.entries(builtInPresets[projectKey] || {}).map(([name, values]) => [name, { ...defaults, ...values }])
+    );
+};
+
+/**
+ * Converts validated values to numbers, keeping only fields of the schema
+ * @param {Object} values - Parameter values (numbers or numeric strings)
+ * @param {Object} schema - Parameter schema
+ * @returns {Object} Field name to number
+ */
+export const normalizeParameters = (values, schema) => {
+    return Object.fromEntries(Object.keys(schema).map(field => [field, Number(values[field])]));
+};
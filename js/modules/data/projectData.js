@@ -31,7 +31,8 @@ export const projectData = {
             projectType: "launchable",
             capabilities: {
                 hasLaunch: true,
-                launchHandler: "launchEcosystemSimulation",
+                launchHandler: "launchProject",
+                featureFlag: "ecosystemSimulation",
                 hasCode: true,
                 codeUrl: "https://github.com/HectorCorbellini/Portfolio-windsurf-march6/tree/ecosystem-simulation-clean-code"
             }
@@ -45,7 +46,8 @@ export const projectData = {
             projectType: "launchable",
             capabilities: {
                 hasLaunch: true,
-                launchHandler: "launchCodeProcessor",
+                launchHandler: "launchProject",
+                featureFlag: "codeProcessor",
                 hasCode: true,
                 codeUrl: "https://github.com/HectorCorbellini/code-processor-py"
             }
@@ -277,16 +279,48 @@ export const notificationConfig = {
     }
 };
 
+/**
+ * Project data loaded from the projects API (/api/projects)
+ * When set, the getters below read from it instead of the static arrays
+ */
+let remoteProjectData = null;
+
+/**
+ * Switch the project getters to data returned by the projects API
+ * @param {Array} projects - Flat project list, each project carrying its category
+ */
+export const setRemoteProjects = (projects) => {
+    if (!Array.isArray(projects)) {
+        remoteProjectData = null;
+        return;
+    }
+    
+    remoteProjectData = projects.reduce((categories, { category, ...project }) => {
+        if (!categories[category]) categories[category] = [];
+        categories[category].push(project);
+        return categories;
+    }, {});
+};
+
+/**
+ * Switch the project getters back to the static arrays
+ */
+export const clearRemoteProjects = () => {
+    remoteProjectData = null;
+};
+
+/**
+ * Get the active project data source
+ * @returns {Object} Projects organized by category
+ */
+const getActiveProjectData = () => remoteProjectData || projectData;
+
 /**
  * Get all projects as a flat array
  * @returns {Array} Array of all projects
  */
 export const getAllProjects = () => {
-    return [
-        ...projectData.codegymProjects,
-        ...projectData.commercialProjects,
-        ...projectData.teamProjects
-    ];
+    return Object.values(getActiveProjectData()).flat();
 };
 
 /**
@@ -317,6 +351,7 @@ export const getProjectConfig = (key) => {
  * @returns {Array} Array of projects in the category
  */
 export const getProjectsByCategory = (category) => {
-    if (!category || !projectData[category]) return [];
-    return projectData[category];
+    const activeProjectData = getActiveProjectData();
+    if (!category || !activeProjectData[category]) return [];
+    return activeProjectData[category];
 };
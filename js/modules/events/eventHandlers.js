@@ -8,10 +8,11 @@ import notificationSystem from '../utils/notifications.js';
 import { notificationConfig } from '../config/appConfig.js';
 import * as businessLogic from '../business/businessLogic.js';
 import apiService from '../services/apiService.js';
-import { getProjectConfig } from '../data/projectData.js';
+import { getProjectConfig, getProjectByKey } from '../data/projectData.js';
 import { createError, handleError } from '../utils/errorHandler.js';
 import { setupFocusTrap } from '../utils/accessibility.js';
 import { validateFormWithNotifications } from '../utils/validation.js';
+import { getLaunchParameterSchema } from '../data/launchParameters.js';
 
 /**
  * Handle project overview display
@@ -41,6 +42,25 @@ export const handleProjectOverview = (projectKey, triggerElement) => {
             title: projectConfig.title,
             content: content,
             onOpen: () => {
+                // Wire up the launch settings form, if the project has one
+                const parametersForm = modal.element.querySelector('.launch-parameters-form');
+                if (parametersForm) {
+                    setupLaunchParametersForm(parametersForm, projectKey, modal);
+                }
+                
+                // Fill in the recent launches of launchable projects
+                const historyList = modal.element.querySelector('.launch-history');
+                if (historyList) {
+                    businessLogic.getRecentLaunches(projectKey)
+                        .then(entries => {
+                            historyList.innerHTML = businessLogic.renderLaunchHistory(entries);
+                        })
+                        .catch(error => {
+                            historyList.innerHTML = '<li class="launch-history-empty">Launch history unavailable</li>';
+                            handleError(createError('Could not load the launch history', 'api', 'warning', error));
+                        });
+                }
+                
                 // Setup focus trap for keyboard navigation
                 const focusTrap = setupFocusTrap(modal.element, triggerElement);
                 
@@ -63,6 +83,119 @@ export const handleProjectOverview = (projectKey, triggerElement) => {
     }
 };
 
+/**
+ * Set up the launch settings form in a project overview
+ * Presets fill the fields; the form is validated with the shared parameter schema before launching
+ * @param {HTMLFormElement} form - Launch settings form
+ * @param {string} projectKey - Project key
+ * @param {Modal} modal - Overview modal, closed once the launch starts
+ */
+export const setupLaunchParametersForm = (form, projectKey, modal) => {
+    const schema = getLaunchParameterSchema(projectKey);
+    if (!form || !schema) return;
+    
+    const presetSelect = form.querySelector('[name="preset"]');
+    const presetNameInput = form.querySelector('[name="presetName"]');
+    const deleteButton = form.querySelector('[data-action="delete-preset"]');
+    const saveButton = form.querySelector('[data-action="save-preset"]');
+    let presets = [];
+    
+    const showNotification = (message, type) => {
+        notificationSystem.show(message, type, notificationConfig.types[type] && notificationConfig.types[type].icon);
+    };
+    
+    const readValues = () => Object.fromEntries(
+        Object.keys(schema).map(field => [field, form.elements[field].value])
+    );
+    
+    const fillValues = (values) => {
+        Object.entries(values).forEach(([field, value]) => {
+            if (form.elements[field]) form.elements[field].value = value;
+        });
+    };
+    
+    const renderPresets = (selected = '') => {
+        presetSelect.innerHTML = '<option value="">Custom</option>';
+        presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.builtIn ? preset.name : `${preset.name} (saved)`;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = selected;
+        const current = presets.find(preset => preset.name === selected);
+        deleteButton.disabled = !current || current.builtIn;
+    };
+    
+    const loadPresets = (selected) => {
+        return businessLogic.getLaunchPresets(projectKey)
+            .then(result => {
+                presets = result;
+                renderPresets(selected);
+            })
+            .catch(error => {
+                handleError(createError('Could not load launch presets', 'api', 'warning', error));
+            });
+    };
+    
+    presetSelect.addEventListener('change', () => {
+        const preset = presets.find(candidate => candidate.name === presetSelect.value);
+        if (preset) fillValues(preset.parameters);
+        deleteButton.disabled = !preset || preset.builtIn;
+    });
+    
+    // Editing a field turns the settings into a custom set
+    Object.keys(schema).forEach(field => {
+        form.elements[field].addEventListener('input', () => {
+            presetSelect.value = '';
+            deleteButton.disabled = true;
+        });
+    });
+    
+    saveButton.addEventListener('click', () => {
+        const name = presetNameInput.value.trim();
+        const parameters = readValues();
+        if (!name) {
+            showNotification('Enter a name for the preset', 'error');
+            return;
+        }
+        if (!validateFormWithNotifications(parameters, showNotification, schema)) return;
+        
+        businessLogic.saveLaunchPreset(projectKey, name, parameters)
+            .then(preset => {
+                showNotification(`Preset "${preset.name}" saved`, 'success');
+                presetNameInput.value = '';
+                return loadPresets(preset.name);
+            })
+            .catch(error => showNotification(error.userMessage || 'Could not save the preset', 'error'));
+    });
+    
+    deleteButton.addEventListener('click', () => {
+        const name = presetSelect.value;
+        if (!name) return;
+        
+        businessLogic.deleteLaunchPreset(projectKey, name)
+            .then(() => {
+                showNotification(`Preset "${name}" deleted`, 'success');
+                return loadPresets('');
+            })
+            .catch(error => showNotification(error.userMessage || 'Could not delete the preset', 'error'));
+    });
+    
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const parameters = readValues();
+        if (!validateFormWithNotifications(parameters, showNotification, schema)) return;
+        
+        modal.close();
+        launchProject(projectKey, { parameters }).catch(() => {
+            // The launch notification already shows the error
+        });
+    });
+    
+    loadPresets('');
+};
+
 /**
  * Generic handler for launching applications
  * @param {string} appName - Name of the application to launch
@@ -81,6 +214,18 @@ export const handleAppLaunch = (appName, launchFunction) => {
     return new Promise(resolve => setTimeout(resolve, 100))
         .then(() => launchFunction())
         .then(data => {
+            // The server has to build the app first; the outcome arrives over the events stream
+            if (data.launch && data.launch.phase === 'building') {
+                notificationSystem.update(
+                    notification,
+                    data.message || `Building ${appName}...`,
+                    'info',
+                    notificationConfig.types.info.icon
+                );
+                followBuild(notification, appName, data.launch);
+                return data;
+            }
+
             // Update notification with success message and icon
             notificationSystem.update(
                 notification, 
@@ -88,6 +233,11 @@ export const handleAppLaunch = (appName, launchFunction) => {
                 'success', 
                 notificationConfig.types.success.icon
             );
+            
+            // Local launches can be followed in a live console
+            if (data.launch && data.launch.id) {
+                addConsoleButton(notification, appName, data.launch);
+            }
             return data;
         })
         .catch(error => {
@@ -104,19 +254,199 @@ export const handleAppLaunch = (appName, launchFunction) => {
 };
 
 /**
- * Handle ecosystem simulation launch
- * @returns {Promise} Promise resolving to launch result
+ * Number of build output lines shown in a build failure notification
+ */
+const BUILD_FAILURE_LINES = 8;
+
+/**
+ * Picks the build output worth showing when a build failed
+ * Maven marks its errors with [ERROR]; other tools get the last lines of output
+ * @param {Array<string>} lines - Tail of the build output kept by the server
+ * @returns {Array<string>} Lines to show
+ */
+const summarizeBuildFailure = (lines = []) => {
+    const errors = lines.filter(line => line.startsWith('[ERROR]'));
+    return (errors.length > 0 ? errors : lines).slice(-BUILD_FAILURE_LINES);
+};
+
+/**
+ * Follows a launch through its build and reports the outcome
+ * @param {HTMLElement} notification - Launch notification element
+ * @param {string} appName - Name of the launched application
+ * @param {Object} launch - Launch summary returned by the server
+ */
+const followBuild = (notification, appName, launch) => {
+    const eventSource = new EventSource(apiService.getLaunchEventsUrl(launch.id));
+
+    // The building notification may have timed out during a long build
+    const report = (message, type) => {
+        notificationSystem.remove(notification);
+        return notificationSystem.show(message, type, notificationConfig.types[type].icon);
+    };
+
+    eventSource.addEventListener('status', event => {
+        const summary = JSON.parse(event.data);
+        if (summary.status === 'running' && summary.phase === 'running') {
+            eventSource.close();
+            addConsoleButton(report(`${businessLogic.escapeHtml(appName)} launched successfully!`, 'success'), appName, summary);
+        }
+    });
+    eventSource.addEventListener('end', event => {
+        const summary = JSON.parse(event.data);
+        eventSource.close();
+
+        if (summary.failureOutput) {
+            const output = summarizeBuildFailure(summary.failureOutput).map(businessLogic.escapeHtml).join('\n');
+            const message = `${businessLogic.escapeHtml(summary.error || `${appName} build failed`)}` +
+                (output ? `<pre class="notification-output">${output}</pre>` : '');
+            addConsoleButton(report(message, 'error'), appName, summary);
+        } else if (summary.status === 'exited') {
+            // Built, ran and exited before the running status arrived
+            addConsoleButton(report(`${businessLogic.escapeHtml(appName)} launched successfully!`, 'success'), appName, summary);
+        } else {
+            addConsoleButton(report(businessLogic.escapeHtml(summary.error || `${appName} stopped while building`), 'error'), appName, summary);
+        }
+    });
+    eventSource.onerror = () => {
+        if (eventSource.readyState === EventSource.CLOSED) {
+            report(`Lost track of the ${businessLogic.escapeHtml(appName)} build`, 'warning');
+        }
+    };
+};
+
+/**
+ * Adds a "View output" button to a launch notification
+ * @param {HTMLElement} notification - Launch notification element
+ * @param {string} appName - Name of the launched application
+ * @param {Object} launch - Launch summary returned by the server
+ */
+const addConsoleButton = (notification, appName, launch) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'notification-action';
+    button.textContent = 'View output';
+    button.addEventListener('click', () => {
+        notificationSystem.remove(notification);
+        handleLaunchConsole(appName, launch);
+    });
+    notification.appendChild(button);
+};
+
+/**
+ * Handle live console display for a launched application
+ * Streams the process output from the server over Server-Sent Events;
+ * EventSource reconnects on its own and resumes after the last received line
+ * @param {string} appName - Name of the launched application
+ * @param {Object} launch - Launch summary returned by the server
+ * @param {HTMLElement} [triggerElement] - Element to return focus to on close
  */
-export const launchEcosystemSimulation = () => {
-    return handleAppLaunch('Ecosystem Simulation', businessLogic.launchEcosystemSimulation);
+export const handleLaunchConsole = (appName, launch, triggerElement) => {
+    if (!launch || !launch.id) {
+        handleError(createError('Missing launch id for launch console', 'validation', 'warning'));
+        return;
+    }
+
+    let eventSource = null;
+
+    const content = `
+        <div class="launch-console">
+            <div class="launch-console-toolbar">
+                <span class="launch-console-status" role="status">Connecting...</span>
+                <button type="button" class="btn btn-secondary launch-console-stop">Stop</button>
+            </div>
+            <pre class="launch-console-output" aria-live="polite"></pre>
+        </div>
+    `;
+
+    const modal = new Modal({
+        title: `${appName} Output`,
+        content,
+        onOpen: () => {
+            const output = modal.element.querySelector('.launch-console-output');
+            const status = modal.element.querySelector('.launch-console-status');
+            const stopButton = modal.element.querySelector('.launch-console-stop');
+
+            const setStatus = (summary) => {
+                const exit = summary.exitCode !== null && summary.exitCode !== undefined
+                    ? ` (exit code ${summary.exitCode})`
+                    : '';
+                // Launches killed for exceeding a limit carry the reason in error
+                const reason = summary.error ? ` - ${summary.error}` : '';
+                // While running, show whether the app is still building or starting
+                const state = summary.status === 'running' && summary.phase ? summary.phase : summary.status;
+                status.textContent = `${state}${exit}${reason}`;
+                status.dataset.status = summary.status;
+                stopButton.disabled = summary.status !== 'running';
+            };
+
+            const appendLine = (line) => {
+                // Only follow the output if the user has not scrolled up
+                const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+                const row = document.createElement('span');
+                row.className = `launch-console-line ${line.stream}`;
+                row.textContent = `${line.text}\n`;
+                output.appendChild(row);
+                if (atBottom) {
+                    output.scrollTop = output.scrollHeight;
+                }
+            };
+
+            eventSource = new EventSource(apiService.getLaunchEventsUrl(launch.id));
+            eventSource.addEventListener('status', event => setStatus(JSON.parse(event.data)));
+            eventSource.addEventListener('output', event => appendLine(JSON.parse(event.data)));
+            eventSource.addEventListener('end', event => {
+                setStatus(JSON.parse(event.data));
+                // The server closes the stream; stop EventSource from reconnecting
+                eventSource.close();
+            });
+            eventSource.onerror = () => {
+                if (eventSource.readyState === EventSource.CONNECTING) {
+                    status.textContent = 'Reconnecting...';
+                } else if (eventSource.readyState === EventSource.CLOSED && !status.dataset.status) {
+                    status.textContent = 'Output unavailable';
+                }
+            };
+
+            stopButton.addEventListener('click', () => {
+                stopButton.disabled = true;
+                apiService.stopLaunch(launch.id).catch(error => {
+                    stopButton.disabled = false;
+                    notificationSystem.show(
+                        error.userMessage || `Could not stop ${appName}`,
+                        'error',
+                        notificationConfig.types.error.icon
+                    );
+                });
+            });
+
+            const focusTrap = setupFocusTrap(modal.element, triggerElement);
+            if (focusTrap) {
+                modal.focusTrap = focusTrap;
+            }
+        },
+        onClose: () => {
+            if (eventSource) {
+                eventSource.close();
+            }
+            if (modal.focusTrap && modal.focusTrap.cleanup) {
+                modal.focusTrap.cleanup();
+            }
+        }
+    });
+
+    modal.open();
 };
 
 /**
- * Handle Code Processor application launch
+ * Handle launch of any project with a launcher on the server
+ * @param {string} projectKey - Key of the project to launch
+ * @param {Object} [options] - Launch options ({ preset, parameters }) for launchers that accept parameters
  * @returns {Promise} Promise resolving to launch result
  */
-export const launchCodeProcessor = () => {
-    return handleAppLaunch('Code Processor for AI', businessLogic.launchCodeProcessor);
+export const launchProject = (projectKey, options = {}) => {
+    const project = getProjectByKey(projectKey);
+    const appName = project ? project.title : projectKey;
+    return handleAppLaunch(appName, () => businessLogic.launchProject(projectKey, options));
 };
 
 /**
@@ -4,7 +4,7 @@
  * Implements consistent error handling, response formatting, and request management
  */
 
-import { validateFormData } from '../utils/validation.js';
+import { validateFormData, getFirstErrorMessage, contactFormSchema } from '../utils/validation.js';
 import { createError, handleError } from '../utils/errorHandler.js';
 import { handleFetchError, createFetchWithErrorHandling as createFetchWrapper } from '../utils/errorBridge.js';
 
@@ -22,11 +22,24 @@ const apiConfig = {
     retryAttempts: 1,
     endpoints: {
         contactForm: '/api/contact',
-        launchEcosystem: '/api/launch-ecosystem',
-        launchCodeProcessor: '/api/launch-code-processor'
+        projects: '/api/projects',
+        adminContacts: '/api/admin/contacts',
+        launches: '/api/launches',
+        launch: '/api/launch'
     }
 };
 
+// Bearer token sent with every request once set (used by the admin inbox)
+let authToken = null;
+
+/**
+ * Sets or clears the bearer token sent in the Authorization header
+ * @param {string|null} token - Bearer token, or null to stop sending one
+ */
+const setAuthToken = (token) => {
+    authToken = token || null;
+};
+
 /**
  * Request timeout handler
  * @param {number} ms - Timeout in milliseconds
@@ -99,6 +112,7 @@ const fetchWithErrorHandling = async (url, options = {}, retryOptions = {}) => {
     // Combine default headers with custom headers
     const headers = {
         ...apiConfig.defaultHeaders,
+        ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
         ...(options.headers || {})
     };
     
@@ -140,8 +154,9 @@ const fetchWithErrorHandling = async (url, options = {}, retryOptions = {}) => {
                 );
             }
             
-            // If we have retries left, try again after delay
-            if (attempt < retries) {
+            // If we have retries left, try again after delay (4xx responses will not change on retry)
+            const statusCode = error.originalError && error.originalError.statusCode;
+            if (attempt < retries && !(statusCode >= 400 && statusCode < 500)) {
                 lastError = error;
                 
                 // Log retry attempt
@@ -169,25 +184,31 @@ const fetchWithErrorHandling = async (url, options = {}, retryOptions = {}) => {
  */
 const apiService = {
     /**
-     * Launches the ecosystem simulation
+     * Launches a registered application
+     * @param {string} key - Project key of the launcher
+     * @param {string} [name] - Display name used in error messages
+     * @param {Object} [options] - Launch options for launchers that accept parameters
+     * @param {string} [options.preset] - Name of a parameter preset
+     * @param {Object} [options.parameters] - Parameter values, applied over the preset
      * @returns {Promise} - Promise resolving to API response with success message
      */
-    launchEcosystemSimulation() {
-        return fetchWithErrorHandling(apiConfig.endpoints.launchEcosystem, {
-            method: 'POST'
-        })
+    launchProject(key, name = key, options = {}) {
+        return fetchWithErrorHandling(`${apiConfig.endpoints.launch}/${encodeURIComponent(key)}`, {
+            method: 'POST',
+            body: JSON.stringify(options)
+        }, { retries: 0 }) // Do not retry, a retried launch could start the app twice
         .then(response => {
             // Ensure response has a consistent format with explicit success message
             return {
                 success: true,
-                message: 'Ecosystem Simulation launched successfully!',
+                message: `${name} launched successfully!`,
                 ...response
             };
         })
         .catch(error => {
             // Use the centralized error handling
             const enhancedError = createError(
-                'Failed to launch ecosystem simulation',
+                `Failed to launch ${name}`,
                 'api',
                 'error',
                 error
@@ -198,32 +219,91 @@ const apiService = {
     },
     
     /**
-     * Launches the Code Processor Python application
-     * @returns {Promise} - Promise resolving to API response with success message
+     * Checks whether a launcher can run on the server
+     * @param {string} key - Project key of the launcher
+     * @returns {Promise} - Promise resolving to { success, preflight }
      */
-    launchCodeProcessor() {
-        return fetchWithErrorHandling(apiConfig.endpoints.launchCodeProcessor, {
-            method: 'POST'
-        })
-        .then(response => {
-            // Ensure response has a consistent format with explicit success message
-            return {
-                success: true,
-                message: 'Code Processor launched successfully!',
-                ...response
-            };
-        })
-        .catch(error => {
-            // Use the centralized error handling
-            const enhancedError = createError(
-                'Failed to launch Code Processor',
-                'api',
-                'error',
-                error
-            );
-            handleError(enhancedError);
-            throw enhancedError;
-        });
+    getLaunchPreflight(key) {
+        return this.get(`${apiConfig.endpoints.launch}/${encodeURIComponent(key)}/preflight`);
+    },
+    
+    /**
+     * Fetches the built-in and saved parameter presets of a launcher
+     * @param {string} key - Project key of the launcher
+     * @returns {Promise} - Promise resolving to { success, count, presets }
+     */
+    getLaunchPresets(key) {
+        return this.get(`${apiConfig.endpoints.launch}/${encodeURIComponent(key)}/presets`);
+    },
+    
+    /**
+     * Saves a named parameter preset on the server
+     * @param {string} key - Project key of the launcher
+     * @param {string} name - Preset name
+     * @param {Object} parameters - Parameter values
+     * @returns {Promise} - Promise resolving to { success, message, preset }
+     */
+    saveLaunchPreset(key, name, parameters) {
+        return this.put(
+            `${apiConfig.endpoints.launch}/${encodeURIComponent(key)}/presets/${encodeURIComponent(name)}`,
+            { parameters }
+        );
+    },
+    
+    /**
+     * Deletes a saved parameter preset
+     * @param {string} key - Project key of the launcher
+     * @param {string} name - Preset name
+     * @returns {Promise} - Promise resolving to { success, message }
+     */
+    deleteLaunchPreset(key, name) {
+        return this.delete(`${apiConfig.endpoints.launch}/${encodeURIComponent(key)}/presets/${encodeURIComponent(name)}`);
+    },
+    
+    /**
+     * Builds the Server-Sent Events URL for a launch's live output
+     * @param {string} launchId - Launch id returned by a launch endpoint
+     * @returns {string} - URL to open with EventSource
+     */
+    getLaunchEventsUrl(launchId) {
+        const url = `${apiConfig.endpoints.launches}/${encodeURIComponent(launchId)}/events`;
+        return apiConfig.baseUrl ? `${apiConfig.baseUrl}${url}` : url;
+    },
+    
+    /**
+     * Stops a running launch
+     * @param {string} launchId - Launch id
+     * @returns {Promise} - Promise resolving to { success, message, launch }
+     */
+    stopLaunch(launchId) {
+        return this.delete(`${apiConfig.endpoints.launches}/${encodeURIComponent(launchId)}`);
+    },
+    
+    /**
+     * Fetches the launch history, newest first
+     * @param {Object} [filters] - Query filters such as key, status and pageSize
+     * @returns {Promise} - Promise resolving to { success, launches, total, page, pageSize, totalPages }
+     */
+    getLaunchHistory(filters = {}) {
+        return this.get(`${apiConfig.endpoints.launches}/history`, filters);
+    },
+    
+    /**
+     * Fetches projects from the projects API
+     * @param {string} [category] - Optional category filter
+     * @returns {Promise} - Promise resolving to { success, count, projects }
+     */
+    getProjects(category) {
+        return this.get(apiConfig.endpoints.projects, category ? { category } : {});
+    },
+    
+    /**
+     * Fetches a single project and its overview configuration
+     * @param {string} key - Project key
+     * @returns {Promise} - Promise resolving to { success, project, config }
+     */
+    getProject(key) {
+        return this.get(`${apiConfig.endpoints.projects}/${encodeURIComponent(key)}`);
     },
     
     /**
@@ -236,7 +316,7 @@ const apiService = {
         const validation = validateFormData(formData);
         if (!validation.isValid) {
             const validationError = createError(
-                Object.values(validation.errors)[0],
+                getFirstErrorMessage(validation.errors, contactFormSchema),
                 'validation',
                 'warning',
                 { formData, errors: validation.errors }
@@ -245,36 +325,16 @@ const apiService = {
             return Promise.reject(validationError);
         }
 
-        // For now, this is a mock implementation
-        // In a real application, this would be a real API call
-        return new Promise((resolve, reject) => {
-            // Simulate API call with setTimeout
-            setTimeout(() => {
-                try {
-                    // Simulate successful response
-                    resolve({ 
-                        success: true,
-                        message: 'Your message has been sent successfully!' 
-                    });
-                } catch (error) {
-                    const apiError = createError(
-                        'Failed to send message',
-                        'api',
-                        'error',
-                        error
-                    );
-                    handleError(apiError);
-                    reject(apiError);
-                }
-            }, 1000);
-            
-            // Real implementation would use fetchWithErrorHandling
-            /*
-            return fetchWithErrorHandling(apiConfig.endpoints.contactForm, {
-                method: 'POST',
-                body: JSON.stringify(formData)
-            });
-            */
+        return fetchWithErrorHandling(apiConfig.endpoints.contactForm, {
+            method: 'POST',
+            body: JSON.stringify(formData)
+        }, { retries: 0 }) // Do not retry, a retried POST could store the message twice
+        .then(response => {
+            return {
+                success: true,
+                message: 'Your message has been sent successfully!',
+                ...response
+            };
         });
     },
     
@@ -336,4 +396,4 @@ const apiService = {
 };
 
 export default apiService;
-export { handleResponse, apiConfig, fetchWithErrorHandling };
+export { handleResponse, apiConfig, fetchWithErrorHandling, setAuthToken };
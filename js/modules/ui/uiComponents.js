@@ -256,6 +256,43 @@ const createDemoLink = (project, addLink) => {
     }
 };
 
+/**
+ * Badge text and explanation for each launch preflight status
+ */
+const launchBadges = {
+    'available': { text: 'Available', title: 'Ready to launch' },
+    'needs-build': { text: 'Needs build', title: 'The project is built before it starts, so the first launch takes longer' },
+    'unavailable': { text: 'Unavailable', title: 'Cannot be launched on this server' }
+};
+
+/**
+ * Shows a launch preflight result on a launch button
+ * Unavailable launches disable the button and explain why in its tooltip
+ * @param {HTMLElement} button - Launch button
+ * @param {Object} preflight - Preflight result from the server
+ */
+export const applyLaunchPreflight = (button, preflight) => {
+    const badgeInfo = launchBadges[preflight.status];
+    if (!button || !badgeInfo) return;
+    
+    const explanation = preflight.problems && preflight.problems.length
+        ? preflight.problems.join('. ')
+        : badgeInfo.title;
+    
+    const badge = createElement('span', {
+        className: `launch-badge ${preflight.status}`,
+        textContent: badgeInfo.text
+    });
+    button.appendChild(badge);
+    button.title = explanation;
+    
+    if (preflight.status === 'unavailable') {
+        button.disabled = true;
+        button.setAttribute('aria-disabled', 'true');
+        button.setAttribute('aria-label', `Launch Demo (unavailable: ${explanation})`);
+    }
+};
+
 /**
  * Creates a launch button for a project if applicable
  * @param {Object} project - Project data
@@ -271,12 +308,19 @@ const createLaunchButton = (project, handlers, addLink) => {
     
     if (isProjectFeatureEnabled(project.key) && 
         handlers[handlerName] && typeof handlers[handlerName] === 'function') {
-        addLink({
-            onClick: () => handlers[handlerName](),
+        const button = addLink({
+            onClick: () => handlers[handlerName](project.key),
             icon: 'fas fa-play-circle',
             text: 'Launch Demo',
             isButton: true
         });
+        
+        // Ask the server whether the launch can work before the user tries it
+        if (button && typeof handlers.getLaunchPreflight === 'function') {
+            handlers.getLaunchPreflight(project.key).then(preflight => {
+                if (preflight) applyLaunchPreflight(button, preflight);
+            });
+        }
     }
 };
 
@@ -317,6 +361,7 @@ export const createProjectLinks = (project, handlers = {}) => {
         const addLink = (options) => {
             const link = createCardLink(options);
             if (link) linksContainer.appendChild(link);
+            return link;
         };
 
         // Add all applicable links
@@ -0,0 +1,354 @@
+/**
+ * Cipher Module
+ * Classical ciphers for the cipher demo (projects/caesar-cipher) and /api/cipher.
+ *
+ * The page uses this module for its options and validation; the server runs the
+ * operations with it (loaded through server/utils/sharedModules.js), so this module
+ * must stay free of DOM and Node APIs.
+ *
+ * Algorithms work over an alphabet, and characters outside the alphabet are never
+ * enciphered:
+ * - caesar: shifts every letter by the key (0 to alphabet size - 1)
+ * - vigenere: shifts by the letters of a key word in turn; characters outside the
+ *   alphabet do not advance the key
+ * - rot13: a Caesar shift of 13, its own inverse in the 26-letter Latin alphabet
+ * - atbash: mirrors the alphabet (a <-> z), its own inverse
+ *
+ * Letter alphabets are given in lower case and match letters of either case. With
+ * preserveCase the case of each letter is kept, otherwise the output is lower case.
+ * With preservePunctuation characters outside the alphabet are copied, otherwise only
+ * whitespace is kept. The extended alphabet shifts the printable code points of 32-255 like
+ * the Java application the demo belongs to, leaving out DEL and the C1 controls (127-159)
+ * that would come out as invisible characters, so it has no separate cases.
+ *
+ * @module utils/cipher
+ */
+
+/**
+ * Builds a string of consecutive code points
+ * @param {number} first - First code point
+ * @param {number} last - Last code point, inclusive
+ * @returns {string} Characters
+ */
+const codePointRange = (first, last) => {
+    return String.fromCodePoint(...Array.from({ length: last - first + 1 }, (_, index) => first + index));
+};
+
+/**
+ * Alphabets by name; custom takes its letters from the customAlphabet option
+ */
+export const alphabets = {
+    extended: {
+        label: 'Code points 32-126 and 160-255 (Java application)',
+        letters: codePointRange(32, 126) + codePointRange(160, 255),
+        cased: false
+    },
+    latin: { label: 'Latin (A-Z)', letters: 'abcdefghijklmnopqrstuvwxyz', cased: true },
+    spanish: { label: 'Spanish (A-Z with Ñ)', letters: 'abcdefghijklmnñopqrstuvwxyz', cased: true },
+    cyrillic: { label: 'Cyrillic (Russian)', letters: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя', cased: true },
+    custom: { label: 'Custom', letters: null, cased: true }
+};
+
+/**
+ * Cipher algorithms by name
+ * key: 'shift' (a number), 'word' (letters of the alphabet) or null (no key);
+ * bruteForce: whether every key can be tried
+ */
+export const cipherAlgorithms = {
+    caesar: { label: 'Caesar', key: 'shift', bruteForce: true },
+    vigenere: { label: 'Vigenère', key: 'word', bruteForce: false },
+    rot13: { label: 'ROT13', key: null, bruteForce: false },
+    atbash: { label: 'Atbash', key: null, bruteForce: false }
+};
+
+/**
+ * Options used when a request leaves them out
+ */
+export const defaultCipherOptions = {
+    algorithm: 'caesar',
+    alphabet: 'extended',
+    customAlphabet: '',
+    key: 10,
+    preserveCase: true,
+    preservePunctuation: true
+};
+
+// Limits of custom alphabets and Vigenère key words, in characters
+const CUSTOM_ALPHABET_LENGTH = { min: 2, max: 256 };
+const MAX_KEY_WORD_LENGTH = 100;
+
+/**
+ * Frequencies of the letters of each language in percent, used to rank brute-force keys
+ */
+export const letterFrequencies = {
+    en: {
+        a: 8.167, b: 1.492, c: 2.782, d: 4.253, e: 12.702, f: 2.228, g: 2.015, h: 6.094, i: 6.966,
+        j: 0.153, k: 0.772, l: 4.025, m: 2.406, n: 6.749, o: 7.507, p: 1.929, q: 0.095, r: 5.987,
+        s: 6.327, t: 9.056, u: 2.758, v: 0.978, w: 2.360, x: 0.150, y: 1.974, z: 0.074
+    },
+    es: {
+        a: 12.53, b: 1.42, c: 4.68, d: 5.86, e: 13.68, f: 0.69, g: 1.01, h: 0.70, i: 6.25,
+        j: 0.44, k: 0.02, l: 4.97, m: 3.15, n: 6.71, ñ: 0.31, o: 8.68, p: 2.51, q: 0.88, r: 6.87,
+        s: 7.98, t: 4.63, u: 3.93, v: 0.90, w: 0.01, x: 0.22, y: 0.90, z: 0.52
+    },
+    ru: {
+        а: 8.01, б: 1.59, в: 4.54, г: 1.70, д: 2.98, е: 8.45, ё: 0.04, ж: 0.94, з: 1.65, и: 7.35,
+        й: 1.21, к: 3.49, л: 4.40, м: 3.21, н: 6.70, о: 10.97, п: 2.81, р: 4.73, с: 5.47, т: 6.26,
+        у: 2.62, ф: 0.26, х: 0.97, ц: 0.48, ч: 1.44, ш: 0.73, щ: 0.36, ъ: 0.04, ы: 1.90, ь: 1.74,
+        э: 0.32, ю: 0.64, я: 2.01
+    }
+};
+
+/**
+ * Languages brute force can score against
+ */
+export const cipherLanguages = Object.keys(letterFrequencies);
+
+// Expected share of letters, whitespace and other characters in prose
+const CHARACTER_SHARES = { letter: 0.78, space: 0.17, other: 0.05 };
+
+/**
+ * Resolves the letters of the chosen alphabet
+ * @param {Object} options - Cipher options: alphabet and customAlphabet
+ * @returns {Object} { letters: Array<string>, index: Map<string, number>, cased }
+ */
+export const resolveAlphabet = ({ alphabet, customAlphabet = '' }) => {
+    const letters = Array.from(alphabet === 'custom' ? customAlphabet : alphabets[alphabet].letters);
+    return {
+        letters,
+        index: new Map(letters.map((letter, position) => [letter, position])),
+        // Custom alphabets written in lower case match both cases, like the built-in ones
+        cased: alphabet === 'custom' ? customAlphabet === customAlphabet.toLowerCase() : alphabets[alphabet].cased
+    };
+};
+
+/**
+ * Validates the alphabet options
+ * @param {Object} values - Cipher options
+ * @returns {string|null} Error message, or null when valid
+ */
+const getAlphabetError = ({ alphabet, customAlphabet }) => {
+    if (!Object.prototype.hasOwnProperty.call(alphabets, alphabet)) {
+        return `Unknown alphabet. Expected one of: ${Object.keys(alphabets).join(', ')}`;
+    }
+    if (alphabet !== 'custom') return null;
+
+    const letters = typeof customAlphabet === 'string' ? Array.from(customAlphabet) : [];
+    if (letters.length < CUSTOM_ALPHABET_LENGTH.min || letters.length > CUSTOM_ALPHABET_LENGTH.max) {
+        return `A custom alphabet needs ${CUSTOM_ALPHABET_LENGTH.min} to ${CUSTOM_ALPHABET_LENGTH.max} characters`;
+    }
+    if (new Set(letters).size !== letters.length) {
+        return 'A custom alphabet must not repeat characters';
+    }
+    return null;
+};
+
+/**
+ * Validates and normalizes the key of an algorithm
+ * @param {*} key - Key: a number or numeric string for shifts, a word for Vigenère
+ * @param {string} algorithm - Algorithm name
+ * @param {Object} alphabet - Resolved alphabet
+ * @returns {Object} { key, error }; key is a number, a word or null
+ */
+const normalizeKey = (key, algorithm, alphabet) => {
+    const size = alphabet.letters.length;
+
+    if (algorithm === 'rot13') return { key: 13 % size, error: null };
+    if (algorithm === 'atbash') return { key: null, error: null };
+
+    if (algorithm === 'caesar') {
+        const shift = typeof key === 'string' && key.trim() !== '' ? Number(key) : key;
+        if (!Number.isInteger(shift) || shift < 0 || shift >= size) {
+            return { key: null, error: `key must be an integer between 0 and ${size - 1}` };
+        }
+        return { key: shift, error: null };
+    }
+
+    const word = typeof key === 'string' && alphabet.cased ? key.trim().toLowerCase() : key;
+    if (typeof word !== 'string' || word.length === 0 || word.length > MAX_KEY_WORD_LENGTH) {
+        return { key: null, error: `key must be a word of 1 to ${MAX_KEY_WORD_LENGTH} letters` };
+    }
+    const invalid = Array.from(word).find(letter => !alphabet.index.has(letter));
+    if (invalid !== undefined) {
+        return { key: null, error: `The key contains "${invalid}", which is not in the alphabet` };
+    }
+    return { key: word, error: null };
+};
+
+/**
+ * Validates cipher options, filling in defaults
+ * @param {Object} [values] - Options: algorithm, alphabet, customAlphabet, key,
+ *   preserveCase, preservePunctuation
+ * @returns {Object} { isValid, error, options }; options are normalized when valid
+ */
+export const validateCipherOptions = (values = {}) => {
+    const merged = Object.fromEntries(Object.entries(defaultCipherOptions).map(([option, fallback]) => {
+        const value = values ? values[option] : undefined;
+        return [option, value === undefined ? fallback : value];
+    }));
+    const invalid = (error) => ({ isValid: false, error, options: null });
+
+    if (!Object.prototype.hasOwnProperty.call(cipherAlgorithms, merged.algorithm)) {
+        return invalid(`Unknown algorithm. Expected one of: ${Object.keys(cipherAlgorithms).join(', ')}`);
+    }
+    const alphabetError = getAlphabetError(merged);
+    if (alphabetError) return invalid(alphabetError);
+
+    const flag = ['preserveCase', 'preservePunctuation'].find(option => typeof merged[option] !== 'boolean');
+    if (flag) return invalid(`${flag} must be true or false`);
+
+    const alphabet = resolveAlphabet(merged);
+    const { key, error } = normalizeKey(merged.key, merged.algorithm, alphabet);
+    if (error) return invalid(error);
+
+    return {
+        isValid: true,
+        error: null,
+        options: {
+            algorithm: merged.algorithm,
+            alphabet: merged.alphabet,
+            customAlphabet: merged.alphabet === 'custom' ? merged.customAlphabet : '',
+            key,
+            preserveCase: merged.preserveCase,
+            preservePunctuation: merged.preservePunctuation
+        }
+    };
+};
+
+/**
+ * Creates a function that enciphers or deciphers text piece by piece
+ * The Vigenère key position carries over between calls, so a text may be passed in chunks
+ * @param {string} direction - 'encrypt' or 'decrypt'
+ * @param {Object} options - Options returned by validateCipherOptions
+ * @returns {Function} (text) => transformed text
+ */
+export const createCipherTransform = (direction, options) => {
+    const alphabet = resolveAlphabet(options);
+    const size = alphabet.letters.length;
+    const sign = direction === 'decrypt' ? -1 : 1;
+    const shifts = options.algorithm === 'vigenere'
+        ? Array.from(options.key, letter => alphabet.index.get(letter))
+        : [options.key];
+    let position = 0;
+
+    const mapIndex = (index) => {
+        if (options.algorithm === 'atbash') return size - 1 - index;
+        const shift = shifts[position % shifts.length];
+        position++;
+        return (((index + sign * shift) % size) + size) % size;
+    };
+
+    return (text) => {
+        let result = '';
+        for (const char of text) {
+            const lower = alphabet.cased ? char.toLowerCase() : char;
+            const index = alphabet.index.get(lower);
+
+            if (index === undefined) {
+                if (options.preservePunctuation || /\s/.test(char)) result += char;
+                continue;
+            }
+
+            const letter = alphabet.letters[mapIndex(index)];
+            result += options.preserveCase && char !== lower ? letter.toUpperCase() : letter;
+        }
+        return result;
+    };
+};
+
+/**
+ * Encrypts a text
+ * @param {string} text - Plaintext
+ * @param {Object} options - Options returned by validateCipherOptions
+ * @returns {string} Ciphertext
+ */
+export const encryptText = (text, options) => createCipherTransform('encrypt', options)(text);
+
+/**
+ * Decrypts a text
+ * @param {string} text - Ciphertext
+ * @param {Object} options - Options returned by validateCipherOptions
+ * @returns {string} Plaintext
+ */
+export const decryptText = (text, options) => createCipherTransform('decrypt', options)(text);
+
+/**
+ * Computes the chi-squared distance between a text's characters and a language
+ * Letters are those of the language's frequency table, in either case
+ * @param {Map<string, number>} counts - Count per character
+ * @param {number} total - Number of characters
+ * @param {string} language - Key of letterFrequencies
+ * @returns {number} Chi-squared score, lower is closer
+ */
+const chiSquared = (counts, total, language) => {
+    const frequencies = letterFrequencies[language];
+    const observed = new Map();
+    counts.forEach((count, char) => {
+        const lower = char.toLowerCase();
+        let bucket = 'other';
+        if (/\s/.test(char)) bucket = 'space';
+        else if (Object.prototype.hasOwnProperty.call(frequencies, lower)) bucket = lower;
+        observed.set(bucket, (observed.get(bucket) || 0) + count);
+    });
+
+    const expected = { space: CHARACTER_SHARES.space * total, other: CHARACTER_SHARES.other * total };
+    Object.entries(frequencies).forEach(([letter, percent]) => {
+        expected[letter] = (percent / 100) * CHARACTER_SHARES.letter * total;
+    });
+
+    return Object.entries(expected).reduce((score, [bucket, expectedCount]) => {
+        return score + (((observed.get(bucket) || 0) - expectedCount) ** 2) / expectedCount;
+    }, 0);
+};
+
+/**
+ * Decrypts a text with every Caesar key of the alphabet and ranks the candidates
+ * The ciphertext's characters are counted once; each key only remaps the distinct characters
+ * @param {string} text - Ciphertext
+ * @param {Object} options - Options returned by validateCipherOptions; the key is ignored
+ * @param {Object} [ranking] - Ranking options
+ * @param {string} [ranking.language=auto] - Key of letterFrequencies, or 'auto' to score against all
+ * @param {number} [ranking.previewLength=80] - Characters of decrypted text per candidate
+ * @returns {Object} { candidates: [{ rank, key, score, language, preview }], best: { key, score, language, text } }
+ */
+export const rankCaesarKeys = (text, options, { language = 'auto', previewLength = 80 } = {}) => {
+    const charCounts = new Map();
+    let total = 0;
+    for (const char of text) {
+        charCounts.set(char, (charCounts.get(char) || 0) + 1);
+        total++;
+    }
+
+    const languages = language === 'auto' ? cipherLanguages : [language];
+    const preview = text.slice(0, previewLength);
+    const size = resolveAlphabet(options).letters.length;
+    // Score every character, even those the chosen options would drop from the output
+    const scoringOptions = { ...options, algorithm: 'caesar', preservePunctuation: true };
+
+    const candidates = Array.from({ length: size }, (_, key) => {
+        const decrypt = createCipherTransform('decrypt', { ...scoringOptions, key });
+        const counts = new Map();
+        charCounts.forEach((count, char) => {
+            const plain = decrypt(char);
+            counts.set(plain, (counts.get(plain) || 0) + count);
+        });
+
+        const [best] = languages
+            .map(candidateLanguage => ({ language: candidateLanguage, score: chiSquared(counts, total, candidateLanguage) }))
+            .sort((a, b) => a.score - b.score);
+
+        return {
+            key,
+            score: Math.round(best.score * 100) / 100,
+            language: best.language,
+            preview: decryptText(preview, { ...options, key })
+        };
+    }).sort((a, b) => a.score - b.score || a.key - b.key)
+        .map((candidate, index) => ({ rank: index + 1, ...candidate }));
+
+    const { key, score, language: bestLanguage } = candidates[0];
+    return {
+        candidates,
+        best: { key, score, language: bestLanguage, text: decryptText(text, { ...options, key }) }
+    };
+};
@@ -29,7 +29,8 @@ export const mapServerErrorToClientError = (serverError) => {
     const {
         error: errorCode = 'unknown',
         message = 'An unknown error occurred',
-        statusCode = 500
+        statusCode = 500,
+        details = null
     } = serverError || {};
     
     // Map status code to severity
@@ -69,12 +70,19 @@ export const mapServerErrorToClientError = (serverError) => {
     }
     
     // Create a client-side error object
-    return createError(
+    const clientError = createError(
         message,
         type,
         severity,
-        { serverErrorCode: errorCode, statusCode }
+        { serverErrorCode: errorCode, statusCode, details }
     );
+    
+    // Validation errors carry a message meant for the user (e.g. "Email is required")
+    if (type === 'validation') {
+        clientError.userMessage = message;
+    }
+    
+    return clientError;
 };
 
 /**
@@ -109,15 +117,10 @@ export const handleFetchError = async (response) => {
  */
 export const createFetchWithErrorHandling = (fetchFn, options = {}) => {
     return async (...args) => {
+        let response;
+        
         try {
-            const response = await fetchFn(...args);
-            
-            if (!response.ok) {
-                const error = await handleFetchError(response);
-                return handleError(error, options.notifyUser);
-            }
-            
-            return response;
+            response = await fetchFn(...args);
         } catch (error) {
             // Handle network errors
             const networkError = createError(
@@ -126,8 +129,16 @@ export const createFetchWithErrorHandling = (fetchFn, options = {}) => {
                 'error',
                 error
             );
-            return handleError(networkError, options.notifyUser);
+            throw handleError(networkError, options.notifyUser);
+        }
+        
+        if (!response.ok) {
+            // Keep the server error mapping instead of wrapping it as a network error
+            const error = await handleFetchError(response);
+            throw handleError(error, options.notifyUser);
         }
+        
+        return response;
     };
 };
 
@@ -1,8 +1,32 @@
 /**
  * Validation Module
  * Centralizes all validation logic for the application
+ *
+ * Validation is driven by declarative schemas so the same rules run unchanged
+ * in the browser and on the server (loaded through server/utils/sharedModules.js).
+ * This module must stay free of DOM and Node APIs.
+ *
+ * A schema maps field names to rule sets:
+ *
+ *     {
+ *         email: { label: 'Email', required: true, email: true, maxLength: 254 },
+ *         code: { pattern: { value: /^[A-Z]{3}$/, message: 'Use three capital letters' } },
+ *         username: { validateAsync: async (value) => isAvailable(value) || 'Already taken' }
+ *     }
+ *
+ * Supported rules: required, minLength, maxLength, pattern, email,
+ * integer, min and max (numeric values, also given as numeric strings),
+ * validate (sync custom validator) and validateAsync (async custom validator).
+ * Custom validators receive (value, data) and return true when valid,
+ * or false / an error message when invalid.
+ * A rule may be given as { value, message } to override its default message,
+ * otherwise messages come from formConfig.validationMessages.
+ *
+ * @module utils/validation
  */
 
+import { formConfig } from '../config/appConfig.js';
+
 /**
  * Validates email format using a comprehensive regex pattern
  * @param {string} email - Email to validate
@@ -10,57 +34,226 @@
  */
 export const isValidEmail = (email) => {
     if (!email) return false;
-    
+
     // RFC 5322 compliant email regex
     const emailRegex = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
     return emailRegex.test(String(email).toLowerCase());
 };
 
 /**
- * Validates form data
- * @param {Object} formData - Form data to validate
- * @returns {Object} Validation result { isValid, errors }
+ * Contact form schema, shared by the contact form and POST /api/contact
  */
-export const validateFormData = (formData) => {
-    const errors = {};
-    
-    // Check for required fields
-    if (!formData.name || formData.name.trim() === '') {
-        errors.name = 'Name is required';
+export const contactFormSchema = {
+    name: { label: 'Name', required: true, maxLength: 100 },
+    email: { label: 'Email', required: true, email: true, maxLength: 254 },
+    subject: { label: 'Subject', required: true, maxLength: 150 },
+    message: { label: 'Message', required: true, minLength: 10, maxLength: 5000 }
+};
+
+/**
+ * Converts a value to a number for the numeric rules
+ * @param {*} value - Field value
+ * @returns {number} The number, or NaN when the value is not numeric
+ */
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+/**
+ * Built-in rule checks, evaluated in this order after the required check
+ * Each check returns true when the value passes
+ */
+const ruleChecks = {
+    minLength: (value, length) => String(value).length >= length,
+    maxLength: (value, length) => String(value).length <= length,
+    email: (value, enabled) => !enabled || isValidEmail(value),
+    pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern)).test(String(value)),
+    integer: (value, enabled) => !enabled || Number.isInteger(toNumber(value)),
+    min: (value, min) => toNumber(value) >= min,
+    max: (value, max) => toNumber(value) <= max
+};
+
+/**
+ * Checks whether a value counts as empty for the required rule
+ * @param {*} value - Field value
+ * @returns {boolean} Whether the value is empty
+ */
+const isEmptyValue = (value) => {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+};
+
+/**
+ * Splits a rule definition into its value and custom message
+ * @param {*} rule - Rule value or { value, message }
+ * @returns {Object} { value, message }
+ */
+const unpackRule = (rule) => {
+    if (rule && typeof rule === 'object' && !(rule instanceof RegExp) && 'value' in rule) {
+        return { value: rule.value, message: rule.message };
+    }
+    return { value: rule, message: null };
+};
+
+/**
+ * Resolves the error message for a failed rule
+ * @param {string} ruleName - Name of the rule
+ * @param {*} ruleValue - Rule value (e.g. the length for minLength)
+ * @param {string|null} customMessage - Message given in the schema
+ * @returns {string} Error message
+ */
+const resolveMessage = (ruleName, ruleValue, customMessage) => {
+    if (customMessage) return customMessage;
+
+    const message = formConfig.validationMessages[ruleName] || formConfig.validationMessages.invalid;
+    return typeof message === 'function' ? message(ruleValue) : message;
+};
+
+/**
+ * Interprets the result of a custom validator
+ * @param {*} result - true, false or an error message
+ * @param {string|null} customMessage - Message given in the schema
+ * @returns {string|null} Error message or null when valid
+ */
+const customResult = (result, customMessage) => {
+    if (result === true || result === undefined) return null;
+    if (typeof result === 'string') return result;
+    return resolveMessage('invalid', null, customMessage);
+};
+
+/**
+ * Validates a single value against its synchronous rules
+ * @param {*} value - Field value
+ * @param {Object} rules - Field rule set
+ * @param {Object} [data] - All form data, passed to custom validators
+ * @returns {string|null} First error message or null when valid
+ */
+export const validateField = (value, rules = {}, data = {}) => {
+    if (isEmptyValue(value)) {
+        const { value: required, message } = unpackRule(rules.required);
+        return required ? resolveMessage('required', true, message) : null;
     }
-    
-    if (!formData.email || formData.email.trim() === '') {
-        errors.email = 'Email is required';
-    } else if (!isValidEmail(formData.email)) {
-        errors.email = 'Please enter a valid email address';
+
+    for (const ruleName of Object.keys(ruleChecks)) {
+        if (rules[ruleName] === undefined) continue;
+
+        const { value: ruleValue, message } = unpackRule(rules[ruleName]);
+        if (!ruleChecks[ruleName](value, ruleValue)) {
+            return resolveMessage(ruleName, ruleValue, message);
+        }
     }
-    
-    if (!formData.message || formData.message.trim() === '') {
-        errors.message = 'Message is required';
-    } else if (formData.message.length < 10) {
-        errors.message = 'Message must be at least 10 characters long';
+
+    if (rules.validate) {
+        const { value: validator, message } = unpackRule(rules.validate);
+        return customResult(validator(value, data), message);
     }
-    
+
+    return null;
+};
+
+/**
+ * Validates a single value against all of its rules, including async validators
+ * @param {*} value - Field value
+ * @param {Object} rules - Field rule set
+ * @param {Object} [data] - All form data, passed to custom validators
+ * @returns {Promise<string|null>} First error message or null when valid
+ */
+export const validateFieldAsync = async (value, rules = {}, data = {}) => {
+    const syncError = validateField(value, rules, data);
+    if (syncError || isEmptyValue(value) || !rules.validateAsync) {
+        return syncError;
+    }
+
+    const { value: validator, message } = unpackRule(rules.validateAsync);
+    return customResult(await validator(value, data), message);
+};
+
+/**
+ * Builds a validation result from per-field errors
+ * @param {Object} errors - Map of field name to error message (or null)
+ * @returns {Object} Validation result { isValid, errors }
+ */
+const toResult = (errors) => {
+    const fieldErrors = Object.fromEntries(
+        Object.entries(errors).filter(([, message]) => message)
+    );
+
     return {
-        isValid: Object.keys(errors).length === 0,
-        errors
+        isValid: Object.keys(fieldErrors).length === 0,
+        errors: fieldErrors
     };
 };
 
+/**
+ * Validates data against a schema, skipping async validators
+ * @param {Object} data - Data to validate
+ * @param {Object} schema - Validation schema
+ * @returns {Object} Validation result { isValid, errors }
+ */
+export const validateSchema = (data = {}, schema = {}) => {
+    const errors = {};
+
+    Object.entries(schema).forEach(([field, rules]) => {
+        errors[field] = validateField(data[field], rules, data);
+    });
+
+    return toResult(errors);
+};
+
+/**
+ * Validates data against a schema, including async validators
+ * @param {Object} data - Data to validate
+ * @param {Object} schema - Validation schema
+ * @returns {Promise<Object>} Validation result { isValid, errors }
+ */
+export const validateSchemaAsync = async (data = {}, schema = {}) => {
+    const entries = await Promise.all(
+        Object.entries(schema).map(async ([field, rules]) => [
+            field,
+            await validateFieldAsync(data[field], rules, data)
+        ])
+    );
+
+    return toResult(Object.fromEntries(entries));
+};
+
+/**
+ * Formats the first error of a validation result for display
+ * @param {Object} errors - Map of field name to error message
+ * @param {Object} schema - Validation schema, used for field labels
+ * @returns {string|null} Message such as "Email: Please enter a valid email address"
+ */
+export const getFirstErrorMessage = (errors, schema = {}) => {
+    const [field, message] = Object.entries(errors || {})[0] || [];
+    if (!field) return null;
+
+    const label = schema[field] && schema[field].label;
+    return label ? `${label}: ${message}` : message;
+};
+
+/**
+ * Validates contact form data
+ * @param {Object} formData - Form data to validate
+ * @returns {Object} Validation result { isValid, errors }
+ */
+export const validateFormData = (formData) => {
+    return validateSchema(formData, contactFormSchema);
+};
+
 /**
  * Validates form data and shows notifications for errors
  * @param {Object} formData - Form data to validate
  * @param {Function} showNotification - Function to display notifications
+ * @param {Object} [schema] - Validation schema (defaults to the contact form schema)
  * @returns {boolean} Whether the form data is valid
  */
-export const validateFormWithNotifications = (formData, showNotification) => {
-    const { isValid, errors } = validateFormData(formData);
-    
+export const validateFormWithNotifications = (formData, showNotification, schema = contactFormSchema) => {
+    const { isValid, errors } = validateSchema(formData, schema);
+
     if (!isValid && showNotification) {
         // Show the first error as a notification
-        const firstError = Object.values(errors)[0];
-        showNotification(firstError, 'error');
+        showNotification(getFirstErrorMessage(errors, schema), 'error');
     }
-    
+
     return isValid;
 };
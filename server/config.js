@@ -10,6 +10,9 @@ const BASE_DIR = path.resolve(__dirname, '..');
 // Environment settings
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Checkouts of the launchable applications (see server/launchers.js)
+const APPS_DIR = process.env.APPS_DIR || path.join(BASE_DIR, 'apps');
+
 module.exports = {
     // Server configuration
     host: process.env.HOST || '0.0.0.0',
@@ -21,11 +24,184 @@ module.exports = {
     // File paths
     paths: {
         public: BASE_DIR,
-        indexHtml: path.join(BASE_DIR, 'index.html'),
         js: path.join(BASE_DIR, 'js'),
         css: path.join(BASE_DIR, 'css'),
         images: path.join(BASE_DIR, 'images'),
-        projects: path.join(BASE_DIR, 'projects')
+        projects: path.join(BASE_DIR, 'projects'),
+        // Browser modules that are also loaded by the server (project data, validation)
+        sharedModules: path.join(BASE_DIR, 'js', 'modules'),
+        // Runtime data written by the server (contact submissions, logs)
+        data: process.env.DATA_DIR || path.join(BASE_DIR, 'data'),
+        apps: APPS_DIR
+    },
+    
+    // Static files below paths.public
+    static: {
+        // Top-level files and directories that are served; everything else is answered with 404
+        allow: ['index.html', 'favicon.ico', 'css', 'js', 'images', 'projects', 'admin'],
+        // Never served, even inside allowed directories; dotfiles are always denied
+        denyNames: ['package.json', 'package-lock.json', 'node_modules'],
+        denyExtensions: ['.sh', '.jsonl', '.log', '.env'],
+        // Served for requests to a directory
+        indexFile: 'index.html'
+    },
+
+    // Watching the static files for changes
+    watch: {
+        // Drops edited files from the cache; WATCH_FILES=false turns it off
+        enabled: process.env.WATCH_FILES !== 'false',
+        // Reloads open pages after a change (development only)
+        liveReload: !isProduction,
+        // Quiet time in milliseconds before a change is reported
+        debounce: 100
+    },
+
+    // Cross-origin requests to the API (server/utils/cors.js)
+    cors: {
+        // Other sites allowed to call the API, e.g. CORS_ORIGINS=https://example.com,https://admin.example.com;
+        // '*' allows every origin, without credentials. Same-origin requests are always allowed
+        origins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        // Let allowed origins send cookies and HTTP authentication (CORS_CREDENTIALS=true)
+        credentials: process.env.CORS_CREDENTIALS === 'true',
+        // Request headers every route accepts; routes can add more with their cors.headers
+        allowedHeaders: ['Content-Type', 'Authorization'],
+        // Seconds browsers may reuse a preflight answer
+        maxAge: 600
+    },
+
+    // Security headers of every response (server/utils/securityHeaders.js)
+    security: {
+        // Only report CSP violations instead of blocking them (CSP_REPORT_ONLY=true)
+        reportOnly: process.env.CSP_REPORT_ONLY === 'true',
+        // Directive -> sources; 'nonce' stands for the nonce of the request
+        contentSecurityPolicy: {
+            'default-src': ["'self'"],
+            'script-src': ["'self'", "'nonce'"],
+            'style-src': ["'self'", "'nonce'", 'https://cdnjs.cloudflare.com', 'https://fonts.googleapis.com'],
+            'font-src': ["'self'", 'https://cdnjs.cloudflare.com', 'https://fonts.gstatic.com'],
+            'img-src': ["'self'", 'data:'],
+            'connect-src': ["'self'"],
+            'object-src': ["'none'"],
+            'base-uri': ["'self'"],
+            'form-action': ["'self'"],
+            'frame-ancestors': ["'none'"]
+        },
+        // Violation reports are sent here and stored in reportFile inside paths.data
+        reportUri: '/api/csp-report',
+        reportFile: 'csp-reports.jsonl',
+        headers: {
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'strict-origin-when-cross-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=()',
+            'Cross-Origin-Opener-Policy': 'same-origin'
+        },
+        // Browsers only honor HSTS over HTTPS, which the production deployment terminates
+        hsts: isProduction ? 'max-age=31536000; includeSubDomains' : null
+    },
+    
+    // Request body settings
+    requestBody: {
+        maxJsonSize: 100 * 1024 // 100 KB
+    },
+    
+    // Contact form settings
+    contact: {
+        // Append-only JSONL file inside paths.data
+        storeFile: 'contact-submissions.jsonl'
+    },
+    
+    // Launched project processes
+    launches: {
+        maxOutputLines: 1000, // Output lines kept per launch
+        maxFinished: 50,      // Finished launches kept in memory
+        stopTimeout: 5000,    // Grace period between SIGTERM and SIGKILL
+        failureOutputLines: 40, // Build output lines kept with a failed build
+        buildCacheDir: 'build-cache', // Build fingerprints inside paths.data
+        // Limits for every launch; launchers can override them with their own `limits`
+        limits: {
+            maxRuntime: 30 * 60 * 1000,          // Wall-clock time in milliseconds
+            maxMemory: 1024 * 1024 * 1024,       // Resident bytes of the whole process group
+            maxCpu: 10 * 60,                     // CPU seconds per process
+            maxOutputBytes: 5 * 1024 * 1024      // stdout + stderr
+        },
+        // Append-only audit log of launch requests and their outcome
+        history: {
+            file: 'launch-history.jsonl', // Inside paths.data
+            defaultPageSize: 20,
+            maxPageSize: 100
+        },
+        parameters: {
+            // Files inside paths.data
+            presetsFile: 'launch-presets.json',
+            dir: 'launch-parameters',
+            maxPresets: 50 // Saved presets per launcher
+        },
+        sandbox: {
+            // Server environment variables passed to launched apps; launcher `env` entries are always set
+            envAllowlist: ['PATH', 'HOME', 'USER', 'LANG', 'LC_ALL', 'TZ', 'TERM', 'DISPLAY', 'XAUTHORITY', 'WAYLAND_DISPLAY', 'JAVA_HOME'],
+            // Launcher directories must be inside one of these (add more with LAUNCH_ALLOWED_ROOTS)
+            allowedRoots: [APPS_DIR, ...(process.env.LAUNCH_ALLOWED_ROOTS || '').split(path.delimiter).filter(Boolean)],
+            memoryCheckInterval: 2000,
+            // Kernel address-space limit as a multiple of limits.maxMemory (resident memory)
+            addressSpaceFactor: 2,
+            // Seconds between SIGXCPU and SIGKILL once limits.maxCpu is reached
+            cpuKillGrace: 5
+        }
+    },
+    
+    // Caesar cipher API (projects/caesar-cipher)
+    cipher: {
+        maxTextLength: 50000,  // Characters per request
+        previewLength: 80,     // Characters of each brute-force candidate in the response
+        // Uploaded files processed as background jobs
+        jobs: {
+            dir: 'cipher-jobs',              // Inside paths.data; emptied on start
+            maxFileSize: 20 * 1024 * 1024,   // Bytes per upload
+            allowedTypes: ['text/*'],
+            maxJobs: 20,                     // Jobs kept at a time
+            ttl: 60 * 60 * 1000,             // Finished jobs and their files are removed after this
+            previewBytes: 16 * 1024,         // Bytes of each file shown by View Input / View Output
+            sampleBytes: 64 * 1024,          // Bytes ranked to find the key for a brute-force job
+            progressInterval: 250            // Minimum milliseconds between progress events
+        }
+    },
+    
+    // Admin API settings
+    admin: {
+        // Bearer token for /api/admin/* endpoints; the admin API is disabled when unset
+        token: process.env.ADMIN_TOKEN || null,
+        defaultPageSize: 20,
+        maxPageSize: 100
+    },
+    
+    // Outbound mail settings (contact form notifications)
+    mail: {
+        enabled: process.env.MAIL_ENABLED !== 'false',
+        // 'smtp' delivers through an SMTP server, 'outbox' writes .eml files to disk
+        transport: process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'outbox'),
+        from: process.env.MAIL_FROM || 'Portfolio <portfolio@localhost>',
+        to: process.env.MAIL_TO || 'owner@localhost',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: Number(process.env.SMTP_PORT) || 1025,
+            // Implicit TLS (usually port 465); otherwise STARTTLS is used when the server offers it
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null,
+            // Allow AUTH over an unencrypted connection (local SMTP stand-ins only)
+            allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+            rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+            timeout: 15000
+        },
+        retry: {
+            attempts: 4,
+            baseDelay: 2000, // Doubled after each failed attempt
+            maxDelay: 60000
+        },
+        // Directories inside paths.data
+        outboxDir: path.join('mail', 'outbox'),
+        deadLetterDir: path.join('mail', 'dead-letter')
     },
     
     // Default content type
@@ -41,7 +217,33 @@ module.exports = {
     cache: {
         enabled: isProduction,
         ttl: 5 * 60 * 1000, // 5 minutes
-        maxSize: 50 // Maximum number of files to cache
+        maxBytes: 20 * 1024 * 1024,   // Memory for cached files, compressed variants included
+        maxFileSize: 1024 * 1024,     // Larger files are streamed from disk and never cached
+        maxDigests: 1000,             // Content hashes remembered for the ETags of streamed files
+        // Cache-Control of static files by content type ('image/*' matches every image type).
+        // 'no-cache' lets browsers keep the file but revalidate it (ETag / Last-Modified) on every use
+        // Pages up to maxFileSize get 'no-store' instead, as each response carries its own CSP nonce;
+        // the 'text/html' policy only covers larger pages, which are streamed without nonces
+        control: isProduction ? {
+            'text/html': 'no-cache',
+            'application/json': 'no-cache',
+            'text/css': 'public, max-age=3600',
+            'text/javascript': 'public, max-age=3600',
+            'image/*': 'public, max-age=86400',
+            default: 'public, max-age=300'
+        } : {
+            default: 'no-cache'
+        }
+    },
+
+    // Compression of static files (brotli or gzip, negotiated through Accept-Encoding)
+    compression: {
+        enabled: true,
+        threshold: 1024, // Smaller files are sent uncompressed
+        // Compressed types; JPEG, PNG, GIF and icons are already compressed
+        types: ['text/*', 'application/json', 'image/svg+xml'],
+        brotliQuality: 6, // 0-11
+        gzipLevel: 6      // 1-9
     },
 
     MIME_TYPES: {
@@ -0,0 +1,43 @@
+/**
+ * Live Reload Client
+ * Injected into HTML pages in development (see server/services/liveReloadService.js).
+ *
+ * Reloads the page when one of the portfolio's files changes. Changed stylesheets are
+ * swapped in place instead, so the page keeps its state. When the server restarts with
+ * new code, the page reloads once the event stream has reconnected.
+ */
+(() => {
+    const events = new EventSource('/api/dev/live-reload');
+    let serverId = null;
+
+    /**
+     * Replaces the stylesheets loaded from a path with fresh copies
+     * The old stylesheet is removed once the new one has loaded, so the page never flashes unstyled
+     * @param {string} path - Path of the changed stylesheet, e.g. /css/styles.css
+     */
+    const swapStylesheet = (path) => {
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            const url = new URL(link.href, location.href);
+            if (url.origin !== location.origin || url.pathname !== path) return;
+
+            url.searchParams.set('livereload', Date.now());
+            const replacement = link.cloneNode();
+            replacement.href = url.href;
+            replacement.addEventListener('load', () => link.remove());
+            replacement.addEventListener('error', () => replacement.remove());
+            link.after(replacement);
+        });
+    };
+
+    events.addEventListener('hello', event => {
+        const { serverId: id } = JSON.parse(event.data);
+        if (serverId && serverId !== id) {
+            location.reload();
+            return;
+        }
+        serverId = id;
+    });
+
+    events.addEventListener('css', event => swapStylesheet(JSON.parse(event.data).path));
+    events.addEventListener('reload', () => location.reload());
+})();
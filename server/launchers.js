@@ -0,0 +1,71 @@
+/**
+ * Launcher registry
+ * Describes every application that can be started from the portfolio,
+ * keyed by the project key used in js/modules/data/projectData.js.
+ * POST /api/launch/:key serves every entry, so adding a launchable app
+ * only needs a new entry here and `capabilities.hasLaunch` on the project.
+ *
+ * Entry fields:
+ * - name: Display name used in messages and logs
+ * - cwd: Application directory; each entry can be overridden with an environment variable
+ * - command / args: Process to start; commands containing a slash are resolved against cwd
+ * - env: Extra environment variables for the process
+ * - envAllowlist: Server environment variables passed on in addition to config.launches.sandbox.envAllowlist
+ * - limits: Overrides of config.launches.limits (maxRuntime, maxMemory, maxCpu, maxOutputBytes)
+ * - build: Optional { command, args, artifact, sources } run in cwd before the command;
+ *   the build is stale when the artifact is missing or older than any of the sources
+ * - requires: Binaries that must be on the PATH (checked by the preflight and before every launch)
+ * - platforms: Supported values of process.platform
+ * - parameters: Optional { arg }; launches accept the settings defined for the key in
+ *   js/modules/data/launchParameters.js and pass them as `<arg> <properties file>`
+ * - productionUrl: Where to send visitors in production, where nothing is launched
+ */
+const path = require('path');
+const config = require('./config');
+
+const launchers = {
+    ecosystem: {
+        name: 'Ecosystem Simulation',
+        cwd: process.env.ECOSYSTEM_PATH || path.join(config.paths.apps, 'ecosystem-simulation'),
+        command: 'java',
+        // Keep the heap well below maxMemory
+        args: ['-Xmx512m', '-jar', 'target/ecosystem-simulation-1.0-SNAPSHOT-jar-with-dependencies.jar'],
+        env: {},
+        envAllowlist: ['MAVEN_OPTS', 'M2_HOME'],
+        limits: {
+            maxMemory: 3 * 1024 * 1024 * 1024,
+            maxRuntime: 2 * 60 * 60 * 1000,
+            // All JVM threads (GC, JIT, simulation) count against the CPU limit:
+            // room for four busy cores over the whole maxRuntime
+            maxCpu: 4 * 2 * 60 * 60
+        },
+        build: {
+            command: 'mvn',
+            args: ['clean', 'compile', 'assembly:single'],
+            artifact: 'target/ecosystem-simulation-1.0-SNAPSHOT-jar-with-dependencies.jar',
+            sources: ['pom.xml', 'src']
+        },
+        parameters: {
+            arg: '--config'
+        },
+        requires: ['java', 'mvn'],
+        // The sandbox caps the address space with prlimit or ulimit -v, which macOS does not support
+        platforms: ['linux'],
+        productionUrl: 'https://github.com/HectorCorbellini/Portfolio-windsurf-march6/tree/ecosystem-simulation-clean-code'
+    },
+
+    codeProcessor: {
+        name: 'Code Processor for AI',
+        cwd: process.env.CODE_PROCESSOR_PATH || path.join(config.paths.apps, 'code-processor'),
+        command: 'dist/CodeProcessor',
+        args: [],
+        env: {},
+        build: null,
+        requires: [],
+        // dist/CodeProcessor is a Linux PyInstaller bundle
+        platforms: ['linux'],
+        productionUrl: 'https://github.com/HectorCorbellini/code-processor-py'
+    }
+};
+
+module.exports = launchers;
@@ -0,0 +1,159 @@
+/**
+ * Development SMTP Server
+ * A local SMTP stand-in for trying the SMTP transport end to end.
+ * It accepts every message, prints a summary and saves the raw message
+ * to data/mail/received. It offers no TLS and accepts any AUTH credentials.
+ *
+ * Usage:
+ *   npm run mail:dev
+ *   MAIL_TRANSPORT=smtp SMTP_PORT=1025 npm run start
+ *
+ * Set DEV_SMTP_FAIL_FIRST=<n> to answer the first n messages with a temporary
+ * 451 error, which exercises the mailer's retry and backoff.
+ */
+const net = require('net');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Creates a development SMTP server
+ * @param {Object} [options] - Server options
+ * @param {Function} [options.onMessage] - Called with { from, to, raw } for each accepted message
+ * @param {number} [options.failFirst=0] - Number of messages to reject with 451
+ * @returns {net.Server} Server (not yet listening)
+ */
+function createDevSmtpServer({ onMessage = () => {}, failFirst = 0 } = {}) {
+    let remainingFailures = failFirst;
+
+    return net.createServer(socket => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let dataLines = null;
+        let authStep = null;
+
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        const handleData = (line) => {
+            if (line !== '.') {
+                // Undo dot-stuffing
+                dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                return;
+            }
+
+            const message = { ...envelope, raw: dataLines.join('\r\n') };
+            dataLines = null;
+            envelope = { from: null, to: [] };
+
+            if (remainingFailures > 0) {
+                remainingFailures--;
+                reply('451 4.3.0 Simulated temporary failure');
+                return;
+            }
+
+            Promise.resolve(onMessage(message))
+                .then(() => reply('250 2.0.0 Message accepted'))
+                .catch(error => reply(`554 5.3.0 ${error.message}`));
+        };
+
+        const handleCommand = (line) => {
+            if (authStep) {
+                authStep = authStep === 'user' ? 'pass' : null;
+                reply(authStep ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authentication successful');
+                return;
+            }
+
+            const [verb] = line.split(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-localhost greets you');
+                    reply('250-AUTH PLAIN LOGIN');
+                    reply('250 8BITMIME');
+                    break;
+                case 'HELO':
+                    reply('250 localhost');
+                    break;
+                case 'AUTH':
+                    if (/^AUTH LOGIN/i.test(line)) {
+                        authStep = 'user';
+                        reply('334 VXNlcm5hbWU6');
+                    } else {
+                        reply('235 2.7.0 Authentication successful');
+                    }
+                    break;
+                case 'MAIL':
+                    envelope.from = (/<([^>]*)>/.exec(line) || [])[1] || '';
+                    reply('250 2.1.0 OK');
+                    break;
+                case 'RCPT':
+                    envelope.to.push((/<([^>]*)>/.exec(line) || [])[1] || '');
+                    reply('250 2.1.5 OK');
+                    break;
+                case 'DATA':
+                    dataLines = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'RSET':
+                    envelope = { from: null, to: [] };
+                    reply('250 2.0.0 OK');
+                    break;
+                case 'NOOP':
+                    reply('250 2.0.0 OK');
+                    break;
+                case 'QUIT':
+                    reply('221 2.0.0 Bye');
+                    socket.end();
+                    break;
+                default:
+                    reply('502 5.5.2 Command not implemented');
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+                if (dataLines) {
+                    handleData(line);
+                } else {
+                    handleCommand(line);
+                }
+            }
+        });
+        socket.on('error', error => logger('warn', `Dev SMTP connection error: ${error.message}`));
+
+        reply('220 localhost Portfolio dev SMTP ready');
+    });
+}
+
+/**
+ * Saves a received message to data/mail/received
+ * @param {Object} message - { from, to, raw }
+ */
+async function saveReceivedMessage({ from, to, raw }) {
+    const directory = path.join(config.paths.data, 'mail', 'received');
+    await fs.mkdir(directory, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}.eml`;
+    await fs.writeFile(path.join(directory, fileName), raw, 'utf8');
+
+    const subject = (/^Subject: (.*)$/m.exec(raw) || [])[1] || '(no subject)';
+    logger('info', `Dev SMTP received mail from ${from} to ${to.join(', ')}: ${subject} -> ${fileName}`);
+}
+
+if (require.main === module) {
+    const port = Number(process.env.SMTP_PORT) || config.mail.smtp.port;
+    const server = createDevSmtpServer({
+        onMessage: saveReceivedMessage,
+        failFirst: Number(process.env.DEV_SMTP_FAIL_FIRST) || 0
+    });
+
+    server.listen(port, '127.0.0.1', () => {
+        logger('info', `Dev SMTP server listening on 127.0.0.1:${port}`);
+    });
+}
+
+module.exports = { createDevSmtpServer };
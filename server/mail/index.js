@@ -0,0 +1,74 @@
+/**
+ * Mail Module
+ * Builds the configured mailer and sends contact form notifications
+ */
+const path = require('path');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { Mailer } = require('./mailer');
+const { renderMailTemplate } = require('./templates');
+const { SmtpTransport } = require('./transports/smtpTransport');
+const { OutboxTransport } = require('./transports/outboxTransport');
+
+let mailer = null;
+
+/**
+ * Creates the transport named in the mail configuration
+ * @param {Object} mailConfig - Mail configuration (config.mail)
+ * @returns {Object} Transport instance
+ * @throws {Error} If the transport name is unknown
+ */
+function createTransport(mailConfig) {
+    switch (mailConfig.transport) {
+        case 'smtp':
+            return new SmtpTransport(mailConfig.smtp);
+        case 'outbox':
+            return new OutboxTransport({ directory: path.join(config.paths.data, mailConfig.outboxDir) });
+        default:
+            throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+}
+
+/**
+ * Gets the shared mailer instance
+ * @returns {Mailer} Mailer
+ */
+function getMailer() {
+    if (!mailer) {
+        mailer = new Mailer({
+            transport: createTransport(config.mail),
+            deadLetterDir: path.join(config.paths.data, config.mail.deadLetterDir),
+            retry: config.mail.retry
+        });
+    }
+    return mailer;
+}
+
+/**
+ * Sends the portfolio owner a notification for a stored contact submission
+ * @param {Object} submission - Stored contact submission
+ * @returns {Promise<Object|null>} Delivery info, or null when mail is disabled
+ */
+async function sendContactNotification(submission) {
+    if (!config.mail.enabled) {
+        logger('debug', `Mail disabled, not sending notification for ${submission.id}`);
+        return null;
+    }
+
+    const { subject, text, html } = await renderMailTemplate('contact-notification', submission);
+
+    return getMailer().send({
+        from: config.mail.from,
+        to: config.mail.to,
+        replyTo: submission.email,
+        subject,
+        text,
+        html
+    });
+}
+
+module.exports = {
+    createTransport,
+    getMailer,
+    sendContactNotification
+};
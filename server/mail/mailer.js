@@ -0,0 +1,108 @@
+/**
+ * Mailer
+ * Sends messages through a transport with retry and exponential backoff.
+ * Messages that cannot be delivered are written to a dead-letter folder
+ * together with the last error, so they can be inspected and re-sent.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { buildMessage } = require('./message');
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class Mailer {
+    /**
+     * @param {Object} options - Mailer options
+     * @param {Object} options.transport - Transport with send(message) (SmtpTransport, OutboxTransport)
+     * @param {string} options.deadLetterDir - Directory for undeliverable messages
+     * @param {Object} [options.retry] - Retry settings { attempts, baseDelay, maxDelay }
+     */
+    constructor({ transport, deadLetterDir, retry = {} }) {
+        this.transport = transport;
+        this.deadLetterDir = deadLetterDir;
+        this.retry = {
+            attempts: 3,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            ...retry
+        };
+    }
+
+    /**
+     * Calculates the delay before the next attempt
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const delay = this.retry.baseDelay * Math.pow(2, attempt - 1);
+        // Up to 10% jitter so several queued messages do not retry in lockstep
+        const jitter = Math.random() * delay * 0.1;
+        return Math.min(delay + jitter, this.retry.maxDelay);
+    }
+
+    /**
+     * Sends a message, retrying transient failures
+     * @param {Object} message - Message definition (see buildMessage)
+     * @returns {Promise<Object>} Delivery info from the transport
+     * @throws {Error} The last delivery error, after the message was dead-lettered
+     */
+    async send(message) {
+        const built = buildMessage(message);
+        let lastError = null;
+        let attempt = 0;
+
+        while (attempt < this.retry.attempts) {
+            attempt++;
+            try {
+                const info = await this.transport.send(built);
+                logger('info', `Mail ${built.messageId} delivered via ${this.transport.name} (attempt ${attempt})`);
+                return info;
+            } catch (error) {
+                lastError = error;
+                logger('warn', `Mail ${built.messageId} attempt ${attempt} of ${this.retry.attempts} failed: ${error.message}`);
+
+                // Permanent SMTP failures (5xx) will not succeed on retry
+                if (error.permanent || attempt >= this.retry.attempts) {
+                    break;
+                }
+                await wait(this.getRetryDelay(attempt));
+            }
+        }
+
+        await this.deadLetter(built, lastError, attempt);
+        throw lastError;
+    }
+
+    /**
+     * Writes an undeliverable message to the dead-letter folder
+     * @param {Object} built - Message from buildMessage()
+     * @param {Error} error - Last delivery error
+     * @param {number} attempts - Number of attempts made
+     */
+    async deadLetter(built, error, attempts) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const baseName = `${timestamp}${built.messageId.replace(/[^\w.-]+/g, '_')}`;
+
+        try {
+            await fs.mkdir(this.deadLetterDir, { recursive: true });
+            await fs.writeFile(path.join(this.deadLetterDir, `${baseName}.eml`), built.raw, 'utf8');
+            await fs.writeFile(path.join(this.deadLetterDir, `${baseName}.json`), JSON.stringify({
+                messageId: built.messageId,
+                envelope: built.envelope,
+                transport: this.transport.name,
+                attempts,
+                failedAt: new Date().toISOString(),
+                error: {
+                    message: error.message,
+                    responseCode: error.responseCode || null
+                }
+            }, null, 2), 'utf8');
+            logger('error', `Mail ${built.messageId} moved to dead-letter folder after ${attempts} attempt(s)`);
+        } catch (writeError) {
+            logger('error', `Could not dead-letter mail ${built.messageId}: ${writeError.message}`);
+        }
+    }
+}
+
+module.exports = { Mailer };
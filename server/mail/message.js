@@ -0,0 +1,136 @@
+/**
+ * Mail Message Builder
+ * Builds RFC 5322 messages with plain-text and HTML alternatives.
+ * Bodies are base64 encoded so any UTF-8 content survives 7-bit SMTP relays.
+ */
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Removes CR/LF so user input can never inject extra headers
+ * @param {string} value - Header value
+ * @returns {string} Sanitized value
+ */
+const sanitizeHeader = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+/**
+ * Encodes a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+const encodeHeader = (value) => {
+    const sanitized = sanitizeHeader(value);
+    return /^[\x20-\x7e]*$/.test(sanitized)
+        ? sanitized
+        : `=?UTF-8?B?${Buffer.from(sanitized, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Extracts the bare address from "Name <address>" or "address"
+ * @param {string} value - Mailbox
+ * @returns {string} Address
+ */
+const extractAddress = (value) => {
+    const match = /<([^>]+)>/.exec(value);
+    return sanitizeHeader(match ? match[1] : value);
+};
+
+/**
+ * Splits a comma separated recipient list
+ * @param {string|Array<string>} value - Recipients
+ * @returns {Array<string>} Recipients
+ */
+const toList = (value) => {
+    return (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(sanitizeHeader)
+        .filter(Boolean);
+};
+
+/**
+ * Encodes content as base64 wrapped at 76 characters
+ * @param {string} content - Text content
+ * @returns {string} Encoded body
+ */
+const encodeBody = (content) => {
+    // Text parts are canonically CRLF terminated (RFC 2045 6.8)
+    return Buffer.from(String(content || '').replace(/\r?\n/g, '\r\n'), 'utf8')
+        .toString('base64')
+        .replace(/.{76}/g, '$&\r\n');
+};
+
+/**
+ * Builds a raw MIME message
+ * @param {Object} message - Message definition
+ * @param {string} message.from - Sender mailbox
+ * @param {string|Array<string>} message.to - Recipient mailboxes
+ * @param {string} [message.replyTo] - Reply-To mailbox
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Object} { messageId, envelope: { from, to }, raw }
+ */
+function buildMessage({ from, to, replyTo, subject, text, html }) {
+    const recipients = toList(to);
+    if (!from || recipients.length === 0) {
+        throw new Error('A message needs a sender and at least one recipient');
+    }
+
+    const messageId = `<${crypto.randomUUID()}@${os.hostname() || 'localhost'}>`;
+    const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+
+    const headers = [
+        `From: ${sanitizeHeader(from)}`,
+        `To: ${recipients.join(', ')}`,
+        replyTo ? `Reply-To: ${sanitizeHeader(replyTo)}` : null,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0'
+    ].filter(Boolean);
+
+    const textPart = [
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(text)
+    ].join('\r\n');
+
+    let raw;
+    if (html) {
+        const htmlPart = [
+            'Content-Type: text/html; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            encodeBody(html)
+        ].join('\r\n');
+
+        raw = [
+            ...headers,
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            '',
+            `--${boundary}`,
+            textPart,
+            `--${boundary}`,
+            htmlPart,
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    } else {
+        raw = [...headers, textPart, ''].join('\r\n');
+    }
+
+    return {
+        messageId,
+        envelope: {
+            from: extractAddress(from),
+            to: recipients.map(extractAddress)
+        },
+        raw
+    };
+}
+
+module.exports = {
+    buildMessage,
+    sanitizeHeader,
+    extractAddress
+};
@@ -0,0 +1,69 @@
+/**
+ * Mail Templates
+ * Renders the plain-text and HTML templates in server/mail/templates.
+ * Placeholders use {{name}}; values are HTML-escaped in HTML templates.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeHtml } = require('../utils/html');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+
+// Template source cache keyed by file name
+const templateCache = new Map();
+
+/**
+ * Replaces {{name}} placeholders with values
+ * Unknown placeholders render as an empty string
+ * @param {string} template - Template source
+ * @param {Object} data - Template values
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.html=false] - Whether to HTML-escape values
+ * @returns {string} Rendered output
+ */
+function renderTemplate(template, data, { html = false } = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+        const value = data[name] === undefined || data[name] === null ? '' : String(data[name]);
+        return html ? escapeHtml(value).replace(/\r?\n/g, '<br>\n') : value;
+    });
+}
+
+/**
+ * Loads a template file from the templates directory
+ * @param {string} fileName - Template file name
+ * @returns {Promise<string>} Template source
+ */
+async function loadTemplate(fileName) {
+    if (!templateCache.has(fileName)) {
+        templateCache.set(fileName, await fs.readFile(path.join(TEMPLATE_DIR, fileName), 'utf8'));
+    }
+    return templateCache.get(fileName);
+}
+
+/**
+ * Renders a named template in both formats
+ * Expects <name>.txt and <name>.html in the templates directory;
+ * the first line of the text template is "Subject: ..."
+ * @param {string} name - Template name
+ * @param {Object} data - Template values
+ * @returns {Promise<Object>} { subject, text, html }
+ */
+async function renderMailTemplate(name, data) {
+    const [textTemplate, htmlTemplate] = await Promise.all([
+        loadTemplate(`${name}.txt`),
+        loadTemplate(`${name}.html`)
+    ]);
+
+    const [subjectLine, ...bodyLines] = renderTemplate(textTemplate, data).split('\n');
+
+    return {
+        subject: subjectLine.replace(/^Subject:\s*/i, ''),
+        text: bodyLines.join('\n').replace(/^\n+/, ''),
+        html: renderTemplate(htmlTemplate, data, { html: true })
+    };
+}
+
+module.exports = {
+    renderTemplate,
+    renderMailTemplate
+};
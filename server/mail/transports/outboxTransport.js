@@ -0,0 +1,40 @@
+/**
+ * Outbox Transport
+ * Writes each message as an .eml file instead of sending it.
+ * Used in development and tests; the files open in any mail client.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+class OutboxTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {string} options.directory - Directory that receives the .eml files
+     */
+    constructor({ directory }) {
+        this.name = 'outbox';
+        this.directory = directory;
+    }
+
+    /**
+     * Writes a built message to the outbox
+     * @param {Object} message - Message from buildMessage()
+     * @returns {Promise<Object>} Delivery info { messageId, accepted, path }
+     */
+    async send({ messageId, envelope, raw }) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const safeId = messageId.replace(/[^\w.-]+/g, '_');
+        const filePath = path.join(this.directory, `${timestamp}${safeId}.eml`);
+        await fs.writeFile(filePath, raw, 'utf8');
+
+        return {
+            messageId,
+            accepted: envelope.to,
+            path: filePath
+        };
+    }
+}
+
+module.exports = { OutboxTransport };
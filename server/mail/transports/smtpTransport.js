@@ -0,0 +1,340 @@
+/**
+ * SMTP Transport
+ * Delivers messages to an SMTP server using only Node's net and tls modules.
+ * Supports implicit TLS, STARTTLS, AUTH PLAIN/LOGIN and multi-line replies.
+ */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+/**
+ * Error raised for SMTP replies and connection failures
+ * Permanent errors (5xx replies) should not be retried
+ */
+class SmtpError extends Error {
+    constructor(message, responseCode = null) {
+        super(message);
+        this.name = 'SmtpError';
+        this.responseCode = responseCode;
+        this.permanent = responseCode !== null && responseCode >= 500;
+    }
+}
+
+/**
+ * Line-oriented SMTP connection that reads one reply at a time
+ */
+class SmtpConnection {
+    constructor(timeout) {
+        this.timeout = timeout;
+        this.buffer = '';
+        this.replyLines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.socket = null;
+        this.onData = chunk => this.receive(chunk);
+        this.onError = error => this.fail(error);
+        this.onClose = () => this.fail(new SmtpError('Connection closed by server'));
+        this.onTimeout = () => this.socket.destroy(new SmtpError(`SMTP timeout after ${this.timeout}ms`));
+    }
+
+    /**
+     * Starts reading from a socket
+     * @param {net.Socket|tls.TLSSocket} socket - Connected socket
+     */
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.timeout);
+        socket.on('data', this.onData);
+        socket.on('error', this.onError);
+        socket.on('close', this.onClose);
+        socket.on('timeout', this.onTimeout);
+    }
+
+    /**
+     * Stops reading from the current socket (before a TLS upgrade)
+     */
+    detach() {
+        this.socket.removeListener('data', this.onData);
+        this.socket.removeListener('error', this.onError);
+        this.socket.removeListener('close', this.onClose);
+        this.socket.removeListener('timeout', this.onTimeout);
+        this.socket.setTimeout(0);
+    }
+
+    receive(chunk) {
+        // SMTP replies are ASCII, so decoding chunk by chunk is safe
+        this.buffer += chunk.toString('utf8');
+        let newline;
+
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(newline + 1);
+            this.replyLines.push(line);
+
+            // "250-..." continues a multi-line reply, "250 ..." ends it
+            if (!/^\d{3}-/.test(line)) {
+                const reply = {
+                    code: parseInt(line.slice(0, 3), 10),
+                    lines: this.replyLines.map(replyLine => replyLine.slice(4))
+                };
+                this.replyLines = [];
+                this.deliver(reply);
+            }
+        }
+    }
+
+    deliver(reply) {
+        if (this.waiting) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(reply);
+        } else {
+            this.replies.push(reply);
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    /**
+     * Reads the next reply from the server
+     * @returns {Promise<Object>} { code, lines }
+     */
+    read() {
+        if (this.replies.length > 0) {
+            return Promise.resolve(this.replies.shift());
+        }
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    /**
+     * Reads a reply and checks its code
+     * @param {Array<number>} expectedCodes - Accepted reply codes
+     * @param {string} step - Step name for error messages
+     * @returns {Promise<Object>} { code, lines }
+     * @throws {SmtpError} If the reply code is not expected
+     */
+    async expect(expectedCodes, step) {
+        const reply = await this.read();
+        if (!expectedCodes.includes(reply.code)) {
+            throw new SmtpError(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+        }
+        return reply;
+    }
+
+    /**
+     * Sends a command and checks the reply
+     * @param {string} line - Command line without CRLF
+     * @param {Array<number>} expectedCodes - Accepted reply codes
+     * @param {string} [step] - Step name for error messages
+     * @returns {Promise<Object>} { code, lines }
+     */
+    command(line, expectedCodes, step = line.split(' ')[0]) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(expectedCodes, step);
+    }
+
+    close() {
+        if (this.socket && !this.socket.destroyed) {
+            this.socket.end();
+        }
+    }
+}
+
+/**
+ * Opens a socket and waits until it is connected
+ * @param {Object} options - Transport options
+ * @returns {Promise<net.Socket|tls.TLSSocket>} Connected socket
+ */
+const openSocket = (options) => {
+    return new Promise((resolve, reject) => {
+        const connectOptions = { host: options.host, port: options.port };
+        const socket = options.secure
+            ? tls.connect({ ...connectOptions, servername: options.host, rejectUnauthorized: options.rejectUnauthorized })
+            : net.connect(connectOptions);
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new SmtpError(`Could not connect to ${options.host}:${options.port} within ${options.timeout}ms`));
+        }, options.timeout);
+
+        socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+            clearTimeout(timer);
+            socket.removeAllListeners('error');
+            resolve(socket);
+        });
+        socket.once('error', error => {
+            clearTimeout(timer);
+            reject(new SmtpError(`Could not connect to ${options.host}:${options.port}: ${error.message}`));
+        });
+    });
+};
+
+/**
+ * Upgrades a plain socket to TLS after STARTTLS
+ * @param {net.Socket} socket - Plain socket
+ * @param {Object} options - Transport options
+ * @returns {Promise<tls.TLSSocket>} Secure socket
+ */
+const upgradeSocket = (socket, options) => {
+    return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({
+            socket,
+            servername: options.host,
+            rejectUnauthorized: options.rejectUnauthorized
+        });
+        secureSocket.once('secureConnect', () => {
+            secureSocket.removeAllListeners('error');
+            resolve(secureSocket);
+        });
+        secureSocket.once('error', error => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+    });
+};
+
+/**
+ * Parses EHLO reply lines into a capability map
+ * @param {Array<string>} lines - EHLO reply lines
+ * @returns {Object} Capabilities, e.g. { STARTTLS: [], AUTH: ['PLAIN', 'LOGIN'] }
+ */
+const parseCapabilities = (lines) => {
+    return lines.slice(1).reduce((capabilities, line) => {
+        const [name, ...args] = line.trim().split(/\s+/);
+        capabilities[name.toUpperCase()] = args.map(arg => arg.toUpperCase());
+        return capabilities;
+    }, {});
+};
+
+/**
+ * Normalizes line endings to CRLF and escapes lines that start with a dot
+ * @param {string} raw - Raw message
+ * @returns {string} DATA payload including the terminating dot
+ */
+const toDataPayload = (raw) => {
+    const normalized = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return `${normalized.endsWith('\r\n') ? normalized : normalized + '\r\n'}.\r\n`;
+};
+
+class SmtpTransport {
+    /**
+     * @param {Object} options - SMTP options (see config.mail.smtp)
+     */
+    constructor(options) {
+        this.name = 'smtp';
+        this.options = {
+            port: 25,
+            secure: false,
+            timeout: 15000,
+            rejectUnauthorized: true,
+            allowInsecureAuth: false,
+            ...options
+        };
+    }
+
+    /**
+     * Sends EHLO, falling back to HELO for servers without ESMTP
+     * @param {SmtpConnection} connection - SMTP connection
+     * @returns {Promise<Object>} Server capabilities
+     */
+    async greet(connection) {
+        const clientName = os.hostname() || 'localhost';
+        try {
+            const reply = await connection.command(`EHLO ${clientName}`, [250]);
+            return parseCapabilities(reply.lines);
+        } catch (error) {
+            if (!error.responseCode) throw error;
+            await connection.command(`HELO ${clientName}`, [250]);
+            return {};
+        }
+    }
+
+    /**
+     * Authenticates with AUTH PLAIN or AUTH LOGIN
+     * @param {SmtpConnection} connection - SMTP connection
+     * @param {Object} capabilities - Server capabilities
+     */
+    async authenticate(connection, capabilities) {
+        const { user, pass } = this.options;
+        const mechanisms = capabilities.AUTH || [];
+
+        if (mechanisms.includes('PLAIN')) {
+            const token = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+            await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+        } else if (mechanisms.includes('LOGIN')) {
+            await connection.command('AUTH LOGIN', [334], 'AUTH');
+            await connection.command(Buffer.from(user, 'utf8').toString('base64'), [334], 'AUTH');
+            await connection.command(Buffer.from(pass, 'utf8').toString('base64'), [235], 'AUTH');
+        } else {
+            throw new SmtpError('SMTP server does not support AUTH PLAIN or LOGIN', 530);
+        }
+    }
+
+    /**
+     * Delivers a built message
+     * @param {Object} message - Message from buildMessage()
+     * @returns {Promise<Object>} Delivery info { messageId, accepted, response }
+     * @throws {SmtpError} If delivery fails
+     */
+    async send({ messageId, envelope, raw }) {
+        const connection = new SmtpConnection(this.options.timeout);
+        let secure = this.options.secure;
+
+        try {
+            connection.attach(await openSocket(this.options));
+            await connection.expect([220], 'greeting');
+
+            let capabilities = await this.greet(connection);
+
+            if (!secure && capabilities.STARTTLS) {
+                await connection.command('STARTTLS', [220]);
+                connection.detach();
+                connection.attach(await upgradeSocket(connection.socket, this.options));
+                secure = true;
+                capabilities = await this.greet(connection);
+            }
+
+            if (this.options.user) {
+                if (!secure && !this.options.allowInsecureAuth) {
+                    throw new SmtpError('Refusing to send SMTP credentials over an unencrypted connection', 530);
+                }
+                await this.authenticate(connection, capabilities);
+            }
+
+            await connection.command(`MAIL FROM:<${envelope.from}>`, [250]);
+            const accepted = [];
+            for (const recipient of envelope.to) {
+                await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+                accepted.push(recipient);
+            }
+
+            await connection.command('DATA', [354]);
+            connection.socket.write(toDataPayload(raw));
+            const reply = await connection.expect([250], 'DATA');
+
+            await connection.command('QUIT', [221]).catch(() => {});
+
+            return {
+                messageId,
+                accepted,
+                response: `${reply.code} ${reply.lines.join(' ')}`
+            };
+        } finally {
+            connection.close();
+        }
+    }
+}
+
+module.exports = {
+    SmtpTransport,
+    SmtpError
+};
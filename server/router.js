@@ -1,6 +1,24 @@
 const fs = require('fs').promises;
+const config = require('./config');
 const { logger } = require('./utils/logger');
-const { handleHttpError, ValidationError } = require('./utils/errorHandler');
+const { handleHttpError, AppError, ValidationError, PayloadTooLargeError, ServerError } = require('./utils/errorHandler');
+const { sendJson, sendCachedJson, sendFile } = require('./utils/response');
+const projectService = require('./services/projectService');
+const contactService = require('./services/contactService');
+const cspReportService = require('./services/cspReportService');
+const { requireAdmin, isAdmin } = require('./utils/auth');
+const { processManager, PHASE } = require('./services/processManager');
+const launcherService = require('./services/launcherService');
+const launchParameterService = require('./services/launchParameterService');
+const launchHistoryService = require('./services/launchHistoryService');
+const cipherService = require('./services/cipherService');
+const cipherJobService = require('./services/cipherJobService');
+const staticFileService = require('./services/staticFileService');
+const liveReloadService = require('./services/liveReloadService');
+const { parseMultipart } = require('./utils/multipart');
+const { openEventStream, getLastEventId } = require('./utils/sse');
+const { securityHeaders } = require('./utils/securityHeaders');
+const { cors, requireAllowedOrigin } = require('./utils/cors');
 
 // Rate limiting implementation
 class RateLimiter {
@@ -30,24 +48,252 @@ class RateLimiter {
 // Create rate limiter instance
 const rateLimiter = new RateLimiter(100, 60000); // 100 requests per minute
 
+// Segment ranks used to order routes when several patterns match the same path.
+// Lower ranks are more specific and win: /api/launches/history beats /api/launches/:id
+const SEGMENT_RANK = {
+    static: 0,
+    param: 1,
+    optional: 2,
+    wildcard: 3
+};
+
+/**
+ * Compiles a route path into a list of segment matchers
+ * Supported syntax:
+ * - /projects     static segment
+ * - /:key         named parameter (exactly one segment)
+ * - /:key?        optional named parameter
+ * - /*            wildcard, captures the rest of the path as params.wildcard
+ * - /*rest        named wildcard, captures the rest of the path as params.rest
+ * @param {string} path - Route path pattern
+ * @returns {Array<Object>} Compiled segments ({ type, name, value })
+ * @throws {Error} If a wildcard is not the last segment
+ */
+const compileRoutePath = (path) => {
+    const parts = path.split('/').filter(Boolean);
+
+    return parts.map((part, index) => {
+        if (part.startsWith('*')) {
+            if (index !== parts.length - 1) {
+                throw new Error(`Wildcard must be the last segment in route: ${path}`);
+            }
+            return { type: 'wildcard', name: part.slice(1) || 'wildcard' };
+        }
+
+        if (part.startsWith(':')) {
+            const isOptional = part.endsWith('?');
+            const name = part.slice(1, isOptional ? -1 : undefined);
+            return { type: isOptional ? 'optional' : 'param', name };
+        }
+
+        return { type: 'static', value: part };
+    });
+};
+
+/**
+ * Compares two compiled routes by specificity
+ * Segments are compared left to right by rank, then longer routes win,
+ * then the route registered first wins
+ * @param {Object} a - Compiled route
+ * @param {Object} b - Compiled route
+ * @returns {number} Negative if a takes precedence over b
+ */
+const compareRoutes = (a, b) => {
+    const length = Math.min(a.segments.length, b.segments.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = SEGMENT_RANK[a.segments[i].type] - SEGMENT_RANK[b.segments[i].type];
+        if (diff !== 0) return diff;
+    }
+
+    if (a.segments.length !== b.segments.length) {
+        return b.segments.length - a.segments.length;
+    }
+
+    return a.order - b.order;
+};
+
+/**
+ * Matches path parts against compiled segments
+ * Optional segments are tried with and without consuming a part
+ * @param {Array<Object>} segments - Compiled route segments
+ * @param {Array<string>} parts - Decoded path segments
+ * @returns {Object|null} Extracted parameters or null if the path does not match
+ */
+const matchSegments = (segments, parts, segmentIndex = 0, partIndex = 0, params = {}) => {
+    if (segmentIndex === segments.length) {
+        return partIndex === parts.length ? params : null;
+    }
+
+    const segment = segments[segmentIndex];
+    const part = parts[partIndex];
+
+    switch (segment.type) {
+        case 'static':
+            return part === segment.value
+                ? matchSegments(segments, parts, segmentIndex + 1, partIndex + 1, params)
+                : null;
+        case 'param':
+            return part !== undefined
+                ? matchSegments(segments, parts, segmentIndex + 1, partIndex + 1, { ...params, [segment.name]: part })
+                : null;
+        case 'optional':
+            return (part !== undefined &&
+                    matchSegments(segments, parts, segmentIndex + 1, partIndex + 1, { ...params, [segment.name]: part })) ||
+                matchSegments(segments, parts, segmentIndex + 1, partIndex, params);
+        case 'wildcard':
+            return { ...params, [segment.name]: parts.slice(partIndex).join('/') };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Splits a request pathname into percent-decoded segments
+ * @param {string} pathname - Request pathname
+ * @returns {Array<string>|null} Decoded segments or null if the path is malformed
+ */
+const splitPathname = (pathname) => {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        return null;
+    }
+};
+
 class Router {
     constructor() {
+        // Exact METHOD:path routes, checked first
         this.routes = new Map();
+        // Routes with parameters or wildcards, kept sorted by precedence per method
+        this.patternRoutes = new Map();
         this.middleware = [];
+        this.errorHandlers = [];
+        this.routeCount = 0;
+        // Methods that have at least one route, for answering OPTIONS
+        this.methods = new Set();
     }
 
-    // Add middleware that runs before route handlers
+    /**
+     * Adds middleware that runs before the route middleware and handler of every route
+     * Middleware is called as (req, res, next) and either continues with `await next()`
+     * or answers the request itself, which ends the chain
+     * @param {Function} middleware - Middleware
+     */
     use(middleware) {
         this.middleware.push(middleware);
     }
 
-    // Add route with optional middleware
-    addRoute(path, method, handler, routeMiddleware = []) {
-        const key = `${method}:${path}`;
-        this.routes.set(key, {
+    /**
+     * Adds middleware that handles errors thrown by middleware and route handlers
+     * Error handlers are called as (error, req, res, next) in the order they were added;
+     * each either answers the request or passes the error on with next(error). Errors that
+     * no handler answers are sent with handleHttpError.
+     * @param {Function} handler - Error handler
+     */
+    useErrorHandler(handler) {
+        this.errorHandlers.push(handler);
+    }
+
+    /**
+     * Adds a route
+     * @param {string} path - Route path, e.g. /api/projects/:key
+     * @param {string} method - HTTP method
+     * @param {Function} handler - Route handler (req, res)
+     * @param {Array<Function>|Object} [options] - Route middleware, or an object with:
+     * @param {Array<Function>} [options.middleware] - Route middleware
+     * @param {Object} [options.cors] - CORS settings: headers, the request headers accepted in
+     *   addition to config.cors.allowedHeaders
+     */
+    addRoute(path, method, handler, options = []) {
+        const { middleware = [], cors = {} } = Array.isArray(options) ? { middleware: options } : options;
+        const segments = compileRoutePath(path);
+        const route = {
+            path,
+            method,
             handler,
-            middleware: routeMiddleware
+            middleware,
+            cors,
+            segments,
+            order: this.routeCount++
+        };
+        this.methods.add(method);
+
+        if (segments.every(segment => segment.type === 'static')) {
+            const normalizedPath = '/' + segments.map(segment => segment.value).join('/');
+            this.routes.set(`${method}:${normalizedPath}`, route);
+            return;
+        }
+
+        const methodRoutes = this.patternRoutes.get(method) || [];
+        methodRoutes.push(route);
+        methodRoutes.sort(compareRoutes);
+        this.patternRoutes.set(method, methodRoutes);
+    }
+
+    /**
+     * Finds the route for a method and pathname
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Request pathname
+     * @returns {Object|null} Matching route and extracted params, or null
+     */
+    matchRoute(method, pathname) {
+        const parts = splitPathname(pathname);
+        if (!parts) {
+            return null;
+        }
+
+        // The key joins decoded segments, so an encoded slash (/api%2Flaunches) can hit it;
+        // comparing segment by segment keeps it from matching /api/launches
+        const exactRoute = this.routes.get(`${method}:/${parts.join('/')}`);
+        if (exactRoute && matchSegments(exactRoute.segments, parts)) {
+            return { route: exactRoute, params: {} };
+        }
+
+        for (const route of this.patternRoutes.get(method) || []) {
+            const params = matchSegments(route.segments, parts);
+            if (params) {
+                return { route, params };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds the route that answers OPTIONS for a path from the routes registered for it
+     * @param {string} pathname - Request pathname
+     * @returns {Object|null} Route with the matching route per method in route.routes, and
+     *   the params, or null when no route matches the path
+     */
+    matchOptions(pathname) {
+        const routes = {};
+        let params = {};
+        this.methods.forEach(method => {
+            const match = this.matchRoute(method, pathname);
+            if (match) {
+                routes[method] = match.route;
+                params = match.params;
+            }
         });
+
+        const methods = Object.keys(routes);
+        if (methods.length === 0) {
+            return null;
+        }
+
+        const route = {
+            path: pathname,
+            method: 'OPTIONS',
+            middleware: [],
+            cors: {},
+            routes,
+            handler: async (req, res) => {
+                res.writeHead(204, { 'Allow': ['OPTIONS', ...methods].join(', ') });
+                res.end();
+            }
+        };
+        return { route, params };
     }
 
     // Validate route parameters
@@ -56,41 +302,109 @@ class Router {
         next();
     }
 
-    // Execute middleware chain
+    /**
+     * Runs a middleware chain
+     * next() runs the rest of the chain and resolves once it is done. The chain stops at a
+     * middleware that does not call next(), and before the next middleware once the response
+     * has ended; errors propagate to the caller.
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @param {Array<Function>} middlewareChain - Middleware (req, res, next)
+     * @returns {Promise<boolean>} Whether the whole chain ran
+     */
     async executeMiddleware(req, res, middlewareChain) {
-        let index = 0;
-        const next = async () => {
-            if (index < middlewareChain.length) {
-                await middlewareChain[index++](req, res, next);
+        let lastIndex = -1;
+        const dispatch = async (index) => {
+            if (index <= lastIndex) {
+                throw new Error('next() called multiple times');
+            }
+            lastIndex = index;
+            if (index === middlewareChain.length) {
+                return true;
+            }
+            if (res.writableEnded) {
+                return false;
             }
+            let result = false;
+            await middlewareChain[index](req, res, async () => {
+                result = await dispatch(index + 1);
+            });
+            return result;
         };
-        await next();
+        return dispatch(0);
+    }
+
+    /**
+     * Passes an error through the error handlers, then answers with handleHttpError
+     * @param {Error} error - Error thrown by middleware or a route handler
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     */
+    async handleError(error, req, res) {
+        if (res.writableEnded) {
+            logger('error', `Error after the response was sent: ${error.message}`, { stack: error.stack });
+            return;
+        }
+
+        let current = error;
+        for (const handler of this.errorHandlers) {
+            if (res.writableEnded) {
+                return;
+            }
+            let passed = false;
+            try {
+                await handler(current, req, res, async (nextError = current) => {
+                    passed = true;
+                    current = nextError;
+                });
+            } catch (handlerError) {
+                passed = true;
+                current = handlerError;
+            }
+            if (!passed) {
+                return;
+            }
+        }
+
+        if (res.writableEnded) {
+            return;
+        }
+        // A streamed response has already started and cannot become an error page
+        if (res.headersSent) {
+            logger('error', `Error after the response started: ${current.message}`, { stack: current.stack });
+            res.end();
+            return;
+        }
+        handleHttpError(current, res, logger);
     }
 
     async handleRequest(req, res, pathname) {
-        const method = req.method;
-        const key = `${method}:${pathname}`;
-        
-        const route = this.routes.get(key);
+        const match = this.matchRoute(req.method, pathname) ||
+            (req.method === 'OPTIONS' ? this.matchOptions(pathname) : null);
         
-        if (!route) {
+        if (!match) {
             return false;
         }
 
+        const { route, params } = match;
+        req.route = route;
+        req.params = params;
+        req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+
         try {
-            // Execute global middleware
-            await this.executeMiddleware(req, res, this.middleware);
-            
-            // Execute route-specific middleware
-            await this.executeMiddleware(req, res, route.middleware);
-            
-            // Execute route handler
-            await route.handler(req, res);
-            return true;
+            // Global middleware, then route middleware, then the handler
+            const handler = async (req, res, next) => {
+                await route.handler(req, res);
+                await next();
+            };
+            const completed = await this.executeMiddleware(req, res, [...this.middleware, ...route.middleware, handler]);
+            if (!completed && !res.headersSent) {
+                throw new ServerError(`Middleware stopped ${req.method} ${pathname} without answering`);
+            }
         } catch (error) {
-            handleHttpError(error, res, logger);
-            return true;
+            await this.handleError(error, req, res);
         }
+        return true;
     }
 }
 
@@ -99,22 +413,14 @@ const router = new Router();
 // Add global middleware
 router.use(async (req, res, next) => {
     logger('info', `Incoming request: ${req.method} ${req.url}`);
-    next();
+    await next();
 });
 
-// Add CORS middleware
-router.use(async (req, res, next) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-    }
-    next();
-});
+// Add security headers (CSP, nosniff, Referrer-Policy, ...); server.js applies them to static files
+router.use(securityHeaders);
+
+// Add CORS middleware (origins from config.cors; preflight requests are answered by matchOptions)
+router.use(cors);
 
 // Add rate limiting middleware for API routes
 router.use(async (req, res, next) => {
@@ -129,19 +435,28 @@ router.use(async (req, res, next) => {
             return;
         }
     }
-    next();
+    await next();
 });
 
 // Helper function to parse JSON request body
-const parseJsonBody = (req) => {
+const parseJsonBody = (req, maxSize = config.requestBody.maxJsonSize) => {
     return new Promise((resolve, reject) => {
-        let body = '';
+        const chunks = [];
+        let size = 0;
         
         req.on('data', chunk => {
-            body += chunk.toString();
+            size += chunk.length;
+            if (size > maxSize) {
+                reject(new PayloadTooLargeError(`Request body exceeds ${maxSize} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
         });
         
         req.on('end', () => {
+            // Decode once at the end so multi-byte characters split across chunks stay intact
+            const body = Buffer.concat(chunks).toString('utf8');
             if (!body) {
                 resolve({});
                 return;
@@ -161,46 +476,380 @@ const parseJsonBody = (req) => {
     });
 };
 
-// Add ecosystem simulation route with middleware
-router.addRoute('/api/launch-ecosystem', 'POST', async (req, res) => {
-    logger('info', 'Handling API request: POST /api/launch-ecosystem');
-    
+// Launch history key for requests to keys without a launcher, so arbitrary URL keys never reach the history
+const UNKNOWN_LAUNCHER_KEY = '(unknown)';
+
+/**
+ * Appends a launch request to the launch history
+ * Any failure, in building the record as well as in writing it, is logged rather than thrown,
+ * so the history can never replace the launch result or error the client gets
+ * @param {Object} request - Request details (see launchHistoryService.recordRequest)
+ * @param {Object} result - Launch, redirect or error of the request
+ * @returns {Promise<void>}
+ */
+async function recordLaunchRequest(request, result) {
+    try {
+        await launchHistoryService.recordRequest(request, result);
+    } catch (error) {
+        logger('error', `Failed to record launch request for ${request.key}: ${error.message}`, { stack: error.stack });
+    }
+}
+
+/**
+ * Launches a registered application (see server/launchers.js)
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} key - Project key of the launcher
+ */
+async function handleLaunchRequest(req, res, key) {
+    logger('info', `Handling API request: POST /api/launch/${key}`);
+
+    // Every request ends up in the launch history, including rejected ones
+    const request = { key: UNKNOWN_LAUNCHER_KEY, ip: req.socket.remoteAddress, userAgent: req.headers['user-agent'] };
+
     try {
+        request.key = launcherService.getLauncher(key).key;
         const body = await parseJsonBody(req);
-        
-        // Validate request body if needed
-        if (body && typeof body === 'object') {
-            // Log request details for debugging
-            logger('debug', 'Ecosystem simulation request body:', { body });
+        logger('debug', `Launch request body for ${key}:`, { body });
+        request.preset = body && body.preset;
+
+        // Defaults, overlaid with body.preset and body.parameters, validated with the shared schema
+        const parameters = await launchParameterService.resolveLaunchParameters(key, body);
+        request.parameters = parameters;
+        const { launcher, launch, redirect } = await launcherService.startLauncher(key, { parameters });
+        await recordLaunchRequest(request, { launch, redirect });
+
+        if (redirect) {
+            return sendJson(res, 200, {
+                success: true,
+                message: `Redirecting to the ${launcher.name} repository`,
+                redirect
+            });
         }
-        
-        const launchHandler = require('../projects/ecosystem-simulation/launch.js');
-        await launchHandler(req, res);
+
+        // A launch that has to build first reports success only once the app is running (see the events stream)
+        sendJson(res, 200, {
+            success: true,
+            message: launch.phase === PHASE.BUILDING
+                ? `Building ${launcher.name}...`
+                : `${launcher.name} launched successfully!`,
+            launch: processManager.toJSON(launch),
+            parameters
+        });
     } catch (error) {
-        logger('error', `Ecosystem simulation error: ${error.message}`, { stack: error.stack });
-        throw new ValidationError('Failed to launch ecosystem simulation: ' + error.message);
+        logger('error', `Launch error for ${key}: ${error.message}`, { stack: error.stack });
+        await recordLaunchRequest(request, { error });
+        // Keep specific errors such as 404 for an unknown launcher or 409 for a duplicate launch
+        if (error instanceof AppError) throw error;
+        throw new ServerError(`Failed to launch ${key}: ${error.message}`);
     }
+}
+
+// Launch routes start and stop processes, so other sites may not trigger them (see config.cors)
+router.addRoute('/api/launch/:key', 'POST', async (req, res) => {
+    await handleLaunchRequest(req, res, req.params.key);
+}, { middleware: [requireAllowedOrigin] });
+
+// Reports whether a launcher can run here: missing binaries or paths, stale build, unsupported platform
+router.addRoute('/api/launch/:key/preflight', 'GET', async (req, res) => {
+    sendJson(res, 200, {
+        success: true,
+        preflight: await launcherService.preflight(req.params.key)
+    });
 });
 
-// Add Code Processor route with middleware
+// Named parameter presets: built-in ones plus presets saved on the server
+router.addRoute('/api/launch/:key/presets', 'GET', async (req, res) => {
+    const presets = await launchParameterService.listPresets(req.params.key);
+    sendJson(res, 200, { success: true, count: presets.length, presets });
+});
+
+router.addRoute('/api/launch/:key/presets/:name', 'PUT', async (req, res) => {
+    const body = (await parseJsonBody(req)) || {};
+    const preset = await launchParameterService.savePreset(req.params.key, req.params.name, body.parameters);
+    logger('info', `Saved launch preset "${preset.name}" for ${req.params.key}`);
+    sendJson(res, 200, { success: true, message: `Preset "${preset.name}" saved`, preset });
+}, { middleware: [requireAllowedOrigin] });
+
+router.addRoute('/api/launch/:key/presets/:name', 'DELETE', async (req, res) => {
+    await launchParameterService.deletePreset(req.params.key, req.params.name);
+    logger('info', `Deleted launch preset "${req.params.name}" for ${req.params.key}`);
+    sendJson(res, 200, { success: true, message: `Preset "${req.params.name}" deleted` });
+}, { middleware: [requireAllowedOrigin] });
+
+// Endpoints used before the launcher registry, kept for existing clients
+router.addRoute('/api/launch-ecosystem', 'POST', async (req, res) => {
+    await handleLaunchRequest(req, res, 'ecosystem');
+}, { middleware: [requireAllowedOrigin] });
+
 router.addRoute('/api/launch-code-processor', 'POST', async (req, res) => {
-    logger('info', 'Handling API request: POST /api/launch-code-processor');
+    await handleLaunchRequest(req, res, 'codeProcessor');
+}, { middleware: [requireAllowedOrigin] });
+
+// Read-only projects API, backed by the same module as the browser (js/modules/data/projectData.js)
+router.addRoute('/api/projects', 'GET', async (req, res) => {
+    const projects = await projectService.listProjects({ category: req.query.category });
+    sendCachedJson(req, res, {
+        success: true,
+        count: projects.length,
+        projects
+    });
+});
+
+router.addRoute('/api/projects/:key', 'GET', async (req, res) => {
+    const { project, config } = await projectService.getProject(req.params.key);
+    sendCachedJson(req, res, {
+        success: true,
+        project,
+        config
+    });
+});
+
+// Contact form submissions, stored in an append-only JSONL file under the data directory
+router.addRoute('/api/contact', 'POST', async (req, res) => {
+    logger('info', 'Handling API request: POST /api/contact');
+    
+    const body = await parseJsonBody(req);
+    const submission = await contactService.submitContact(body, {
+        ip: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent']
+    });
     
+    logger('info', `Stored contact submission ${submission.id}`);
+    sendJson(res, 201, {
+        success: true,
+        message: 'Your message has been sent successfully!',
+        id: submission.id
+    });
+});
+
+// Content-Security-Policy violation reports sent by browsers (see config.security)
+router.addRoute('/api/csp-report', 'POST', async (req, res) => {
+    const body = await parseJsonBody(req);
+    await cspReportService.recordReports(body, {
+        ip: req.socket.remoteAddress,
+        userAgent: req.headers['user-agent']
+    });
+    res.writeHead(204);
+    res.end();
+});
+
+// Launched processes: list, inspect (including buffered output) and stop
+router.addRoute('/api/launches', 'GET', async (req, res) => {
+    const launches = processManager.list({ key: req.query.key, status: req.query.status });
+    sendJson(res, 200, {
+        success: true,
+        count: launches.length,
+        launches: launches.map(launch => processManager.toJSON(launch))
+    });
+});
+
+// Audit log of launch requests; client IPs and user agents only with the admin token
+router.addRoute('/api/launches/history', 'GET', async (req, res) => {
+    const result = await launchHistoryService.listHistory(req.query, { includeClient: isAdmin(req) });
+    sendJson(res, 200, { success: true, ...result });
+});
+
+router.addRoute('/api/launches/:id', 'GET', async (req, res) => {
+    const launch = processManager.get(req.params.id);
+    sendJson(res, 200, {
+        success: true,
+        launch: processManager.toJSON(launch, { includeOutput: true })
+    });
+});
+
+// Output lines carry their sequence number as event id, so a reconnecting client
+// (Last-Event-ID) receives only the lines it missed; status events report phase changes
+router.addRoute('/api/launches/:id/events', 'GET', async (req, res) => {
+    const launch = processManager.get(req.params.id);
+    const lastEventId = getLastEventId(req);
+
+    const onOutput = (outputLaunch, line) => {
+        if (outputLaunch.id === launch.id) {
+            stream.send('output', line, line.seq);
+        }
+    };
+    const onPhase = (phaseLaunch) => {
+        if (phaseLaunch.id === launch.id) {
+            stream.send('status', processManager.toJSON(phaseLaunch));
+        }
+    };
+    const onExit = (exitedLaunch) => {
+        if (exitedLaunch.id === launch.id) {
+            stream.send('end', processManager.toJSON(exitedLaunch));
+            stream.close();
+        }
+    };
+
+    const stream = openEventStream(req, res, {
+        onClose: () => {
+            processManager.removeListener('output', onOutput);
+            processManager.removeListener('phase', onPhase);
+            processManager.removeListener('exit', onExit);
+        }
+    });
+
+    stream.send('status', processManager.toJSON(launch));
+    launch.output
+        .filter(line => line.seq > lastEventId)
+        .forEach(line => stream.send('output', line, line.seq));
+
+    if (!launch.child) {
+        stream.send('end', processManager.toJSON(launch));
+        stream.close();
+        return;
+    }
+
+    processManager.on('output', onOutput);
+    processManager.on('phase', onPhase);
+    processManager.on('exit', onExit);
+}, { cors: { headers: ['Last-Event-ID'] } });
+
+router.addRoute('/api/launches/:id', 'DELETE', async (req, res) => {
+    logger('info', `Stopping launch ${req.params.id}`);
+    const launch = await processManager.stop(req.params.id);
+    sendJson(res, 200, {
+        success: true,
+        message: `${launch.key} stopped`,
+        launch: processManager.toJSON(launch)
+    });
+}, { middleware: [requireAllowedOrigin] });
+
+// Cipher operations for the cipher demo (projects/caesar-cipher). Besides the text, requests may
+// choose algorithm, alphabet, customAlphabet, key, preserveCase and preservePunctuation
+router.addRoute('/api/cipher/encrypt', 'POST', async (req, res) => {
+    const { text, ...options } = (await parseJsonBody(req)) || {};
+    sendJson(res, 200, { success: true, ...(await cipherService.encrypt(text, options)) });
+});
+
+router.addRoute('/api/cipher/decrypt', 'POST', async (req, res) => {
+    const { text, ...options } = (await parseJsonBody(req)) || {};
+    sendJson(res, 200, { success: true, ...(await cipherService.decrypt(text, options)) });
+});
+
+// Every Caesar key, ranked by how closely the decrypted text matches English, Spanish or Russian letter frequencies
+router.addRoute('/api/cipher/bruteforce', 'POST', async (req, res) => {
+    const { text, ...options } = (await parseJsonBody(req)) || {};
+    sendJson(res, 200, { success: true, ...(await cipherService.bruteForce(text, options)) });
+});
+
+// Uploaded files: multipart/form-data with a `file`, the field operation, the cipher options and language.
+// The file is processed in the background; follow the job's progress over its events stream
+router.addRoute('/api/cipher/jobs', 'POST', async (req, res) => {
+    const { jobs } = config.cipher;
+    // Reject before the upload is written to disk when every job slot is taken
+    cipherJobService.sweepJobs();
+    const { fields, files } = await parseMultipart(req, {
+        uploadDir: await cipherJobService.getUploadDir(),
+        maxFileSize: jobs.maxFileSize,
+        allowedTypes: jobs.allowedTypes
+    });
+
+    const upload = files.find(file => file.field === 'file');
     try {
-        const body = await parseJsonBody(req);
-        
-        // Validate request body if needed
-        if (body && typeof body === 'object') {
-            // Log request details for debugging
-            logger('debug', 'Code Processor request body:', { body });
+        const job = await cipherJobService.createJob(fields, upload);
+        logger('info', `Cipher job ${job.id}: ${job.operation} ${job.fileName} (${job.size} bytes)`);
+        sendJson(res, 202, { success: true, job: cipherJobService.toJSON(job) });
+    } finally {
+        // Only the file part becomes a job (which removes it when it fails); other uploads are dropped
+        files.filter(file => file !== upload).forEach(file => fs.unlink(file.path).catch(() => {}));
+    }
+});
+
+router.addRoute('/api/cipher/jobs/:id', 'GET', async (req, res) => {
+    sendJson(res, 200, { success: true, job: cipherJobService.toJSON(cipherJobService.getJob(req.params.id)) });
+});
+
+// Progress as Server-Sent Events: 'progress' while processing, 'end' once the job completed or failed
+router.addRoute('/api/cipher/jobs/:id/events', 'GET', async (req, res) => {
+    const job = cipherJobService.getJob(req.params.id);
+    const { jobEvents } = cipherJobService;
+
+    const onProgress = (progressJob) => {
+        if (progressJob.id === job.id) stream.send('progress', cipherJobService.toJSON(progressJob));
+    };
+    const onEnd = (endedJob) => {
+        if (endedJob.id === job.id) {
+            stream.send('end', cipherJobService.toJSON(endedJob));
+            stream.close();
         }
-        
-        const launchHandler = require('../projects/code-processor/launch.js');
-        await launchHandler(req, res);
-    } catch (error) {
-        logger('error', `Code Processor error: ${error.message}`, { stack: error.stack });
-        throw new ValidationError('Failed to launch Code Processor: ' + error.message);
+    };
+
+    const stream = openEventStream(req, res, {
+        onClose: () => {
+            jobEvents.removeListener('progress', onProgress);
+            jobEvents.removeListener('end', onEnd);
+        }
+    });
+
+    if (job.status !== cipherJobService.JOB_STATUS.PROCESSING) {
+        stream.send('end', cipherJobService.toJSON(job));
+        stream.close();
+        return;
     }
+
+    stream.send('progress', cipherJobService.toJSON(job));
+    jobEvents.on('progress', onProgress);
+    jobEvents.on('end', onEnd);
+}, { cors: { headers: ['Last-Event-ID'] } });
+
+// The beginning of the uploaded and processed text, for the View Input / View Output previews
+router.addRoute('/api/cipher/jobs/:id/preview', 'GET', async (req, res) => {
+    const preview = await cipherJobService.getPreview(req.params.id);
+    sendJson(res, 200, { success: true, ...preview });
+});
+
+// Downloads of the uploaded file and the result
+router.addRoute('/api/cipher/jobs/:id/input', 'GET', async (req, res) => {
+    const file = cipherJobService.getJobFile(req.params.id, 'input');
+    await sendFile(res, file.path, { contentType: 'text/plain; charset=utf-8', size: file.size, fileName: file.fileName, download: true });
+});
+
+router.addRoute('/api/cipher/jobs/:id/output', 'GET', async (req, res) => {
+    const file = cipherJobService.getJobFile(req.params.id, 'output');
+    await sendFile(res, file.path, { contentType: 'text/plain; charset=utf-8', size: file.size, fileName: file.fileName, download: true });
+});
+
+// Admin inbox for contact submissions (requires the ADMIN_TOKEN bearer token)
+router.addRoute('/api/admin/contacts', 'GET', async (req, res) => {
+    requireAdmin(req);
+    const result = await contactService.listContacts(req.query);
+    sendJson(res, 200, { success: true, ...result });
+});
+
+router.addRoute('/api/admin/contacts/:id', 'GET', async (req, res) => {
+    requireAdmin(req);
+    const contact = await contactService.getContact(req.params.id);
+    sendJson(res, 200, { success: true, contact });
+});
+
+router.addRoute('/api/admin/contacts/:id', 'PUT', async (req, res) => {
+    requireAdmin(req);
+    const body = await parseJsonBody(req);
+    const contact = await contactService.updateContact(req.params.id, body);
+    sendJson(res, 200, { success: true, contact });
+});
+
+router.addRoute('/api/admin/contacts/:id', 'DELETE', async (req, res) => {
+    requireAdmin(req);
+    await contactService.deleteContact(req.params.id);
+    logger('info', `Admin deleted contact submission ${req.params.id}`);
+    sendJson(res, 200, { success: true });
+});
+
+// Hit and miss statistics of the static file cache
+router.addRoute('/api/admin/cache', 'GET', async (req, res) => {
+    requireAdmin(req);
+    sendJson(res, 200, { success: true, cache: staticFileService.getCacheStats() });
+});
+
+// Live reload for development; both routes answer 404 when config.watch.liveReload is off
+router.addRoute('/api/dev/live-reload', 'GET', async (req, res) => {
+    liveReloadService.openLiveReloadStream(req, res);
+});
+
+router.addRoute('/api/dev/live-reload.js', 'GET', async (req, res) => {
+    await liveReloadService.sendClientScript(res);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Build Cache
+ * Decides whether a launcher's build step has to run.
+ *
+ * The fingerprint of a build is a hash over the build command and the relative path,
+ * modification time and size of every file below the launcher's build.sources.
+ * After a successful build the fingerprint is stored with the artifact's mtime and size
+ * in paths.data/<launches.buildCacheDir>/<key>.json; the build is current while the
+ * fingerprint still matches and the artifact is unchanged.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Gets the cache file of a launcher
+ * @param {string} key - Project key
+ * @returns {string} Absolute path of the cache record
+ */
+const cacheFile = (key) => path.join(config.paths.data, config.launches.buildCacheDir, `${key}.json`);
+
+/**
+ * Lists "relative path:mtime:size" entries for every file below a source path
+ * @param {string} root - Launcher directory
+ * @param {string} source - File or directory relative to root
+ * @returns {Promise<Array<string>>} Entries; a missing source yields a single "missing" entry
+ */
+async function listSourceEntries(root, source) {
+    const target = path.resolve(root, source);
+    let stats;
+    try {
+        stats = await fs.stat(target);
+    } catch (error) {
+        return [`${source}:missing`];
+    }
+
+    if (!stats.isDirectory()) {
+        return [`${path.relative(root, target)}:${stats.mtimeMs}:${stats.size}`];
+    }
+
+    const entries = await fs.readdir(target);
+    const nested = await Promise.all(entries.map(entry => listSourceEntries(root, path.join(source, entry))));
+    return nested.flat();
+}
+
+/**
+ * Computes the fingerprint of a launcher's build inputs
+ * @param {Object} launcher - Launcher entry with a build step
+ * @returns {Promise<string>} Hex SHA-256 fingerprint
+ */
+async function computeFingerprint(launcher) {
+    const { command, args = [], sources = [] } = launcher.build;
+    const entries = (await Promise.all(sources.map(source => listSourceEntries(launcher.cwd, source)))).flat();
+
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify([command, ...args]));
+    entries.sort().forEach(entry => hash.update(`\n${entry}`));
+    return hash.digest('hex');
+}
+
+/**
+ * Reads the artifact's mtime and size
+ * @param {Object} launcher - Launcher entry with a build step
+ * @returns {Promise<Object|null>} { mtimeMs, size }, or null when the artifact is missing
+ */
+async function statArtifact(launcher) {
+    if (!launcher.build.artifact) return null;
+    try {
+        const { mtimeMs, size } = await fs.stat(path.resolve(launcher.cwd, launcher.build.artifact));
+        return { mtimeMs, size };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether the last successful build is still current
+ * @param {Object} launcher - Launcher entry with a build step
+ * @returns {Promise<Object>} { current, fingerprint, reason }
+ */
+async function checkBuild(launcher) {
+    const fingerprint = await computeFingerprint(launcher);
+    const artifact = await statArtifact(launcher);
+
+    if (!artifact) {
+        return { current: false, fingerprint, reason: 'The build artifact does not exist yet' };
+    }
+
+    let record = null;
+    try {
+        record = JSON.parse(await fs.readFile(cacheFile(launcher.key), 'utf8'));
+    } catch (error) {
+        // No successful build recorded yet
+    }
+
+    if (!record || record.fingerprint !== fingerprint) {
+        return { current: false, fingerprint, reason: 'The sources changed since the last build' };
+    }
+    if (!record.artifact || record.artifact.mtimeMs !== artifact.mtimeMs || record.artifact.size !== artifact.size) {
+        return { current: false, fingerprint, reason: 'The build artifact changed since the last build' };
+    }
+
+    return { current: true, fingerprint, reason: 'The build artifact is up to date' };
+}
+
+/**
+ * Records a successful build
+ * @param {Object} launcher - Launcher entry with a build step
+ * @param {string} fingerprint - Fingerprint computed before the build started,
+ *   so changes made while building trigger another build next time
+ * @returns {Promise<void>}
+ */
+async function recordBuild(launcher, fingerprint) {
+    const record = {
+        fingerprint,
+        artifact: await statArtifact(launcher),
+        builtAt: new Date().toISOString()
+    };
+
+    try {
+        await fs.mkdir(path.dirname(cacheFile(launcher.key)), { recursive: true });
+        await fs.writeFile(cacheFile(launcher.key), JSON.stringify(record, null, 2), 'utf8');
+    } catch (error) {
+        // The next launch simply builds again
+        logger('warn', `Could not record the build of ${launcher.key}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    computeFingerprint,
+    checkBuild,
+    recordBuild
+};
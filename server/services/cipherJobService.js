@@ -0,0 +1,363 @@
+/**
+ * Cipher Job Service
+ * Encrypts, decrypts or brute-forces uploaded text files in the background.
+ *
+ * Uploads are streamed to disk by the multipart parser; a job then streams the input file
+ * through the cipher into an output file, reporting progress as it goes. Brute-force jobs
+ * rank the Caesar keys on a sample from the start of the file and decrypt it with the best one.
+ *
+ * Jobs live in memory with their files in paths.data/<cipher.jobs.dir>, which is emptied
+ * when the server starts. Finished jobs are removed after cipher.jobs.ttl.
+ *
+ * Events (jobEvents):
+ * - 'progress' (job) while the file is processed
+ * - 'end' (job) when the job completed or failed
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const config = require('../config');
+const cipherService = require('./cipherService');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+const jobDir = path.join(config.paths.data, config.cipher.jobs.dir);
+
+const JOB_STATUS = {
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const OPERATIONS = ['encrypt', 'decrypt', 'bruteforce'];
+
+// Brute-force candidates kept with a job
+const RANKED_CANDIDATES = 5;
+
+const jobs = new Map();
+const jobEvents = new EventEmitter();
+
+// Files of a previous run belong to jobs that no longer exist
+let ready = null;
+
+/**
+ * Prepares the job directory, removing files left by a previous run
+ * @returns {Promise<string>} Directory that receives uploads
+ */
+function getUploadDir() {
+    if (!ready) {
+        ready = fs.promises.rm(jobDir, { recursive: true, force: true })
+            .then(() => fs.promises.mkdir(jobDir, { recursive: true }))
+            .then(() => jobDir);
+    }
+    return ready;
+}
+
+/**
+ * Removes a job and its files
+ * @param {Object} job - Job record
+ */
+function removeJob(job) {
+    jobs.delete(job.id);
+    [job.inputPath, job.outputPath].forEach(file => fs.promises.unlink(file).catch(() => {}));
+}
+
+/**
+ * Removes expired jobs and makes room for a new one
+ * @throws {ConflictError} If every slot is taken by a job that is still processing
+ */
+function sweepJobs() {
+    const now = Date.now();
+    const finished = Array.from(jobs.values()).filter(job => job.status !== JOB_STATUS.PROCESSING);
+
+    finished
+        .filter(job => now - Date.parse(job.finishedAt) > config.cipher.jobs.ttl)
+        .forEach(removeJob);
+
+    // Oldest finished jobs first
+    finished
+        .filter(job => jobs.has(job.id))
+        .slice(0, Math.max(0, jobs.size - config.cipher.jobs.maxJobs + 1))
+        .forEach(removeJob);
+
+    if (jobs.size >= config.cipher.jobs.maxJobs) {
+        throw new ConflictError('Too many cipher jobs in progress, try again later');
+    }
+}
+
+/**
+ * Reads the cipher options of an upload form
+ * Form fields are strings; the preserve options are sent as 'true' or 'false'
+ * @param {Object} fields - Form fields
+ * @returns {Object} Cipher options; options missing from the form are undefined
+ */
+const readCipherOptions = (fields) => {
+    const readFlag = (value) => (value === 'true' || value === 'false' ? value === 'true' : value);
+    return {
+        algorithm: fields.algorithm || undefined,
+        alphabet: fields.alphabet || undefined,
+        customAlphabet: fields.customAlphabet,
+        key: fields.key,
+        preserveCase: readFlag(fields.preserveCase),
+        preservePunctuation: readFlag(fields.preservePunctuation)
+    };
+};
+
+/**
+ * Builds the name of the processed file
+ * @param {string} fileName - Uploaded file name
+ * @param {string} operation - Job operation
+ * @returns {string} Output file name, e.g. notes.encrypted.txt
+ */
+const outputFileName = (fileName, operation) => {
+    const extension = path.extname(fileName);
+    const base = path.basename(fileName, extension);
+    return `${base}.${operation === 'encrypt' ? 'encrypted' : 'decrypted'}${extension || '.txt'}`;
+};
+
+/**
+ * Serializes a job for API responses
+ * @param {Object} job - Job record
+ * @returns {Object} Job without server paths
+ */
+function toJSON(job) {
+    const { inputPath, outputPath, lastProgressAt, options, ...summary } = job;
+    return summary;
+}
+
+/**
+ * Gets a job
+ * @param {string} id - Job id
+ * @returns {Object} Job record
+ * @throws {NotFoundError} If the job does not exist or has expired
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    if (!job) {
+        throw new NotFoundError('Cipher job not found');
+    }
+    return job;
+}
+
+/**
+ * Reads the beginning of a file as text
+ * @param {string} file - File path
+ * @param {number} maxBytes - Bytes to read
+ * @returns {Promise<Object>} { text, truncated }; a character cut off at the end is dropped
+ */
+async function readHead(file, maxBytes) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(maxBytes);
+        const { bytesRead } = await handle.read(buffer, 0, maxBytes, 0);
+        const { size } = await handle.stat();
+        return {
+            text: new StringDecoder('utf8').write(buffer.subarray(0, bytesRead)),
+            truncated: size > bytesRead
+        };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Creates a pass-through stream that reports how many bytes went through
+ * @param {Object} job - Job record
+ * @returns {Transform} Progress stream
+ */
+function createProgressStream(job) {
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            job.bytesProcessed += chunk.length;
+            job.progress = job.size > 0 ? job.bytesProcessed / job.size : 1;
+
+            const now = Date.now();
+            if (now - job.lastProgressAt >= config.cipher.jobs.progressInterval) {
+                job.lastProgressAt = now;
+                jobEvents.emit('progress', job);
+            }
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * Finishes a job and notifies listeners
+ * @param {Object} job - Job record
+ * @param {Error|null} error - Why the job failed, or null on success
+ */
+async function finishJob(job, error) {
+    job.finishedAt = new Date().toISOString();
+
+    if (error) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = error instanceof ValidationError ? error.message : `Processing failed: ${error.message}`;
+        fs.promises.unlink(job.outputPath).catch(() => {});
+        logger('warn', `Cipher job ${job.id} failed: ${error.message}`);
+    } else {
+        job.status = JOB_STATUS.COMPLETED;
+        job.progress = 1;
+        job.outputSize = (await fs.promises.stat(job.outputPath)).size;
+        logger('info', `Cipher job ${job.id} completed (${job.operation}, ${job.size} bytes)`);
+    }
+
+    jobEvents.emit('end', job);
+}
+
+/**
+ * Processes a job's input file into its output file
+ * @param {Object} job - Job record
+ * @returns {Promise<void>} Resolves when the job has finished, successfully or not
+ */
+async function runJob(job) {
+    try {
+        if (job.operation === 'bruteforce') {
+            const { text } = await readHead(job.inputPath, config.cipher.jobs.sampleBytes);
+            const sample = text.slice(0, config.cipher.maxTextLength);
+            const { best, candidates } = await cipherService.bruteForce(sample, { ...job.options, language: job.language });
+            job.key = best.key;
+            job.candidates = candidates.slice(0, RANKED_CANDIDATES);
+        }
+
+        const operation = job.operation === 'encrypt' ? 'encrypt' : 'decrypt';
+        const cipherStream = await cipherService.createCipherStream(operation, { ...job.options, key: job.key });
+        await new Promise((resolve, reject) => {
+            pipeline(
+                fs.createReadStream(job.inputPath),
+                createProgressStream(job),
+                cipherStream,
+                fs.createWriteStream(job.outputPath),
+                error => (error ? reject(error) : resolve())
+            );
+        });
+        await finishJob(job, null);
+    } catch (error) {
+        await finishJob(job, error);
+    }
+}
+
+/**
+ * Creates a job for an uploaded file and starts processing it
+ * @param {Object} fields - Form fields: operation, the cipher options (algorithm, alphabet, customAlphabet,
+ *   key, preserveCase, preservePunctuation; key for encrypt and decrypt only) and language (brute force)
+ * @param {Object} file - Uploaded file from the multipart parser
+ * @returns {Promise<Object>} The job, still processing
+ * @throws {ValidationError} If the operation, a cipher option or the file is invalid
+ * @throws {ConflictError} If too many jobs are in progress
+ */
+async function createJob(fields, file) {
+    let options;
+    try {
+        if (!file) {
+            throw new ValidationError('Choose a text file to upload');
+        }
+        if (file.size === 0) {
+            throw new ValidationError('The uploaded file is empty');
+        }
+        if (!OPERATIONS.includes(fields.operation)) {
+            throw new ValidationError(`operation must be one of: ${OPERATIONS.join(', ')}`);
+        }
+        if (fields.operation === 'bruteforce') {
+            await cipherService.validateLanguage(fields.language || undefined);
+            options = await cipherService.validateBruteForceOptions(readCipherOptions(fields));
+        } else {
+            options = await cipherService.validateOptions(readCipherOptions(fields));
+        }
+    } catch (error) {
+        if (file) fs.promises.unlink(file.path).catch(() => {});
+        throw error;
+    }
+
+    const id = crypto.randomUUID();
+    const job = {
+        id,
+        operation: fields.operation,
+        algorithm: options.algorithm,
+        alphabet: options.alphabet,
+        key: fields.operation === 'bruteforce' ? null : options.key,
+        language: fields.language || 'auto',
+        candidates: null,
+        fileName: file.fileName,
+        outputFileName: outputFileName(file.fileName, fields.operation),
+        size: file.size,
+        outputSize: null,
+        bytesProcessed: 0,
+        progress: 0,
+        status: JOB_STATUS.PROCESSING,
+        error: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        inputPath: path.join(jobDir, `${id}.input`),
+        outputPath: path.join(jobDir, `${id}.output`),
+        lastProgressAt: 0,
+        options
+    };
+
+    // Take the slot before the first await, so concurrent uploads cannot all pass the maxJobs check
+    try {
+        sweepJobs();
+    } catch (error) {
+        fs.promises.unlink(file.path).catch(() => {});
+        throw error;
+    }
+    jobs.set(id, job);
+
+    try {
+        await fs.promises.rename(file.path, job.inputPath);
+    } catch (error) {
+        jobs.delete(id);
+        fs.promises.unlink(file.path).catch(() => {});
+        throw error;
+    }
+    runJob(job);
+    return job;
+}
+
+/**
+ * Gets a job file for download
+ * @param {string} id - Job id
+ * @param {string} which - 'input' or 'output'
+ * @returns {Object} { path, fileName, size }
+ * @throws {NotFoundError} If the job does not exist
+ * @throws {ConflictError} If the output is requested before the job completed
+ */
+function getJobFile(id, which) {
+    const job = getJob(id);
+    if (which === 'input') {
+        return { path: job.inputPath, fileName: job.fileName, size: job.size };
+    }
+    if (job.status !== JOB_STATUS.COMPLETED) {
+        throw new ConflictError(`Cipher job ${id} has no output yet (status: ${job.status})`);
+    }
+    return { path: job.outputPath, fileName: job.outputFileName, size: job.outputSize };
+}
+
+/**
+ * Reads the beginning of a job's input and output
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} { input: { text, truncated }, output: { text, truncated } | null }
+ * @throws {NotFoundError} If the job does not exist
+ */
+async function getPreview(id) {
+    const job = getJob(id);
+    const { previewBytes } = config.cipher.jobs;
+    return {
+        input: await readHead(job.inputPath, previewBytes),
+        output: job.status === JOB_STATUS.COMPLETED ? await readHead(job.outputPath, previewBytes) : null
+    };
+}
+
+module.exports = {
+    getUploadDir,
+    sweepJobs,
+    createJob,
+    getJob,
+    getJobFile,
+    getPreview,
+    toJSON,
+    jobEvents,
+    JOB_STATUS
+};
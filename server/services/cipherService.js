@@ -0,0 +1,179 @@
+/**
+ * Cipher Service
+ * Cipher operations behind /api/cipher, used by the cipher demo (projects/caesar-cipher).
+ *
+ * The algorithms (Caesar, Vigenère, ROT13, Atbash) and alphabets live in the module shared
+ * with the page (js/modules/utils/cipher.js). Requests without options get the Caesar cipher
+ * over the printable code points 32-126 and 160-255 of the Java application the demo belongs to,
+ * with keys 0-190.
+ *
+ * Brute force tries every Caesar key of the alphabet and ranks the candidates with a
+ * chi-squared test against the character distribution of English, Spanish and Russian text.
+ * The lowest score is the most likely plaintext.
+ */
+const { Transform } = require('stream');
+const config = require('../config');
+const { loadSharedModule } = require('../utils/sharedModules');
+const { ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Loads the shared cipher module
+ * @returns {Promise<Object>} Module exports
+ */
+const loadCipherModule = () => loadSharedModule('utils/cipher.js');
+
+/**
+ * Validates the text of a cipher request
+ * @param {*} text - Request text
+ * @returns {string} The text
+ * @throws {ValidationError} If the text is missing or too long
+ */
+function validateText(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        throw new ValidationError('text must be a non-empty string');
+    }
+    if (text.length > config.cipher.maxTextLength) {
+        throw new ValidationError(`text must be at most ${config.cipher.maxTextLength} characters`);
+    }
+    return text;
+}
+
+/**
+ * Validates cipher options
+ * @param {Object} [values] - Options: algorithm, alphabet, customAlphabet, key,
+ *   preserveCase, preservePunctuation; missing options take their defaults
+ * @returns {Promise<Object>} Normalized options
+ * @throws {ValidationError} If an option is invalid
+ */
+async function validateOptions(values) {
+    const { validateCipherOptions } = await loadCipherModule();
+    const { isValid, error, options } = validateCipherOptions(values);
+    if (!isValid) {
+        throw new ValidationError(error);
+    }
+    return options;
+}
+
+/**
+ * Validates a brute-force language
+ * @param {string} [language=auto] - 'auto' or a language of the cipher module's letter frequencies
+ * @returns {Promise<string>} The language
+ * @throws {ValidationError} If the language is unknown
+ */
+async function validateLanguage(language = 'auto') {
+    const { cipherLanguages } = await loadCipherModule();
+    if (language !== 'auto' && !cipherLanguages.includes(language)) {
+        throw new ValidationError(`Unknown language. Expected auto or one of: ${cipherLanguages.join(', ')}`);
+    }
+    return language;
+}
+
+/**
+ * Validates the options of a brute-force run
+ * @param {Object} [values] - Cipher options; the key is ignored
+ * @returns {Promise<Object>} Normalized options
+ * @throws {ValidationError} If an option is invalid or the algorithm has no keys to try
+ */
+async function validateBruteForceOptions(values = {}) {
+    const { cipherAlgorithms } = await loadCipherModule();
+    const options = await validateOptions({ ...values, key: 0 });
+    if (!cipherAlgorithms[options.algorithm].bruteForce) {
+        throw new ValidationError(`Brute force is not available for ${cipherAlgorithms[options.algorithm].label}`);
+    }
+    return options;
+}
+
+/**
+ * Encrypts a text
+ * @param {string} text - Plaintext
+ * @param {Object} [values] - Cipher options, see validateOptions
+ * @returns {Promise<Object>} { algorithm, alphabet, key, text }
+ * @throws {ValidationError} If the text or an option is invalid
+ */
+async function encrypt(text, values) {
+    const options = await validateOptions(values);
+    const { encryptText } = await loadCipherModule();
+    const { algorithm, alphabet, key } = options;
+    return { algorithm, alphabet, key, text: encryptText(validateText(text), options) };
+}
+
+/**
+ * Decrypts a text
+ * @param {string} text - Ciphertext
+ * @param {Object} [values] - Cipher options used to encrypt, see validateOptions
+ * @returns {Promise<Object>} { algorithm, alphabet, key, text }
+ * @throws {ValidationError} If the text or an option is invalid
+ */
+async function decrypt(text, values) {
+    const options = await validateOptions(values);
+    const { decryptText } = await loadCipherModule();
+    const { algorithm, alphabet, key } = options;
+    return { algorithm, alphabet, key, text: decryptText(validateText(text), options) };
+}
+
+/**
+ * Decrypts a text with every key and ranks the candidates
+ * @param {string} text - Ciphertext
+ * @param {Object} [values] - Cipher options and language: 'en', 'es', 'ru', or 'auto' to score against all
+ * @returns {Promise<Object>} { language, algorithm, alphabet, candidates: [{ rank, key, score, language, preview }],
+ *   best: { key, score, language, text } }
+ * @throws {ValidationError} If the text, language or an option is invalid
+ */
+async function bruteForce(text, { language = 'auto', ...values } = {}) {
+    validateText(text);
+    await validateLanguage(language);
+    const options = await validateBruteForceOptions(values);
+
+    const { rankCaesarKeys } = await loadCipherModule();
+    const { candidates, best } = rankCaesarKeys(text, options, { language, previewLength: config.cipher.previewLength });
+    return { language, algorithm: options.algorithm, alphabet: options.alphabet, candidates, best };
+}
+
+/**
+ * Creates a stream that encrypts or decrypts UTF-8 text
+ * Characters split across chunks are decoded once complete
+ * @param {string} operation - 'encrypt' or 'decrypt'
+ * @param {Object} options - Options returned by validateOptions
+ * @returns {Promise<Transform>} Stream from UTF-8 bytes to UTF-8 bytes; it fails with a
+ *   ValidationError when the input is not valid UTF-8
+ */
+async function createCipherStream(operation, options) {
+    const { createCipherTransform } = await loadCipherModule();
+    const cipher = createCipherTransform(operation === 'decrypt' ? 'decrypt' : 'encrypt', options);
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    const decode = (chunk, decodeOptions) => {
+        try {
+            return decoder.decode(chunk, decodeOptions);
+        } catch (error) {
+            throw new ValidationError('The file is not valid UTF-8 text');
+        }
+    };
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                callback(null, Buffer.from(cipher(decode(chunk, { stream: true })), 'utf8'));
+            } catch (error) {
+                callback(error);
+            }
+        },
+        flush(callback) {
+            try {
+                callback(null, Buffer.from(cipher(decode()), 'utf8'));
+            } catch (error) {
+                callback(error);
+            }
+        }
+    });
+}
+
+module.exports = {
+    encrypt,
+    decrypt,
+    bruteForce,
+    createCipherStream,
+    validateOptions,
+    validateBruteForceOptions,
+    validateLanguage
+};
@@ -0,0 +1,212 @@
+/**
+ * Contact Service
+ * Validates contact form submissions and persists them to an append-only JSONL store,
+ * and provides the inbox operations used by the admin API.
+ *
+ * The store holds two kinds of lines:
+ * - submissions: { id, receivedAt, name, email, subject, message, ip, userAgent }
+ * - status updates: { op: 'update', id, changes: { read, archived }, at }
+ * The current state of a submission is its line with all updates applied in order.
+ * Deleting a submission compacts the file so the message is really removed.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const { JsonlStore } = require('../utils/jsonlStore');
+const { loadSharedModule } = require('../utils/sharedModules');
+const { parseDateFilter, paginate } = require('../utils/queryFilters');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { sendContactNotification } = require('../mail');
+
+const store = new JsonlStore(path.join(config.paths.data, config.contact.storeFile));
+
+/**
+ * Picks the fields known to the schema and coerces them to trimmed strings
+ * @param {Object} body - Parsed request body
+ * @param {Object} schema - Validation schema
+ * @returns {Object} Normalized form data
+ */
+const normalizeSubmission = (body, schema) => {
+    return Object.keys(schema).reduce((formData, field) => {
+        const value = body[field];
+        formData[field] = typeof value === 'string' ? value.trim() : '';
+        return formData;
+    }, {});
+};
+
+/**
+ * Validates and stores a contact form submission
+ * Uses the same schema as the browser (contactFormSchema in js/modules/utils/validation.js)
+ * @param {Object} body - Parsed request body
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.ip - Client IP address
+ * @param {string} meta.userAgent - Client user agent
+ * @returns {Promise<Object>} The stored submission
+ * @throws {ValidationError} If the submission is invalid
+ */
+async function submitContact(body, { ip, userAgent } = {}) {
+    const { contactFormSchema, validateSchemaAsync, getFirstErrorMessage } = await loadSharedModule('utils/validation.js');
+    const formData = normalizeSubmission(body || {}, contactFormSchema);
+    const { isValid, errors } = await validateSchemaAsync(formData, contactFormSchema);
+
+    if (!isValid) {
+        throw new ValidationError(getFirstErrorMessage(errors, contactFormSchema), { fields: errors });
+    }
+
+    const submission = {
+        id: crypto.randomUUID(),
+        receivedAt: new Date().toISOString(),
+        ...formData,
+        ip: ip || null,
+        userAgent: userAgent || null
+    };
+
+    await store.append(submission);
+
+    // Deliver the notification in the background; the submission is already safely stored
+    // and undeliverable mail ends up in the dead-letter folder
+    sendContactNotification(submission).catch(error => {
+        logger('error', `Notification for contact submission ${submission.id} failed: ${error.message}`);
+    });
+
+    return submission;
+}
+
+// Inbox filters accepted by listContacts
+const STATUS_FILTERS = {
+    inbox: contact => !contact.archived,
+    unread: contact => !contact.read && !contact.archived,
+    read: contact => contact.read && !contact.archived,
+    archived: contact => contact.archived,
+    all: () => true
+};
+
+/**
+ * Folds submissions and status updates into the current inbox state
+ * @param {Array<Object>} records - Raw store records
+ * @returns {Map<string, Object>} Contacts keyed by id, in insertion order
+ */
+const foldRecords = (records) => {
+    const contacts = new Map();
+
+    records.forEach(record => {
+        if (record.op === 'update') {
+            const contact = contacts.get(record.id);
+            if (contact) {
+                contacts.set(record.id, { ...contact, ...record.changes, updatedAt: record.at });
+            }
+            return;
+        }
+
+        contacts.set(record.id, { read: false, archived: false, updatedAt: null, ...record });
+    });
+
+    return contacts;
+};
+
+/**
+ * Lists contact submissions, newest first
+ * @param {Object} [query] - Query options
+ * @param {string} [query.q] - Case-insensitive text search in name, email, subject and message
+ * @param {string} [query.status=inbox] - inbox, unread, read, archived or all
+ * @param {string} [query.from] - Only submissions received at or after this date
+ * @param {string} [query.to] - Only submissions received at or before this date
+ * @param {string|number} [query.page=1] - Page number
+ * @param {string|number} [query.pageSize] - Page size (capped at config.admin.maxPageSize)
+ * @returns {Promise<Object>} { contacts, total, page, pageSize, totalPages }
+ * @throws {ValidationError} If a filter is invalid
+ */
+async function listContacts(query = {}) {
+    const status = query.status || 'inbox';
+    if (!STATUS_FILTERS[status]) {
+        throw new ValidationError(`Unknown status filter. Expected one of: ${Object.keys(STATUS_FILTERS).join(', ')}`);
+    }
+
+    const from = parseDateFilter(query.from, 'from');
+    const to = parseDateFilter(query.to, 'to', true);
+    const search = (query.q || '').trim().toLowerCase();
+
+    const matches = Array.from(foldRecords(await store.readAll()).values())
+        .filter(STATUS_FILTERS[status])
+        .filter(contact => {
+            const receivedAt = Date.parse(contact.receivedAt);
+            return (from === null || receivedAt >= from) && (to === null || receivedAt <= to);
+        })
+        .filter(contact => !search || ['name', 'email', 'subject', 'message'].some(field =>
+            String(contact[field] || '').toLowerCase().includes(search)
+        ))
+        .reverse();
+
+    const { items, ...paging } = paginate(matches, query, config.admin);
+    return { contacts: items, ...paging };
+}
+
+/**
+ * Gets a single contact submission
+ * @param {string} id - Submission id
+ * @returns {Promise<Object>} Contact submission with its status
+ * @throws {NotFoundError} If the submission does not exist
+ */
+async function getContact(id) {
+    const contact = foldRecords(await store.readAll()).get(id);
+    if (!contact) {
+        throw new NotFoundError('Contact submission not found');
+    }
+    return contact;
+}
+
+/**
+ * Marks a submission read/unread or archived/unarchived
+ * @param {string} id - Submission id
+ * @param {Object} changes - Status changes
+ * @param {boolean} [changes.read] - Read flag
+ * @param {boolean} [changes.archived] - Archived flag
+ * @returns {Promise<Object>} Updated contact submission
+ * @throws {ValidationError} If the changes are not an object or invalid
+ * @throws {NotFoundError} If the submission does not exist
+ */
+async function updateContact(id, changes = {}) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw new ValidationError('Send the changes as a JSON object');
+    }
+
+    const allowedChanges = ['read', 'archived']
+        .filter(field => field in changes)
+        .reduce((result, field) => {
+            if (typeof changes[field] !== 'boolean') {
+                throw new ValidationError(`${field} must be true or false`);
+            }
+            result[field] = changes[field];
+            return result;
+        }, {});
+
+    if (Object.keys(allowedChanges).length === 0) {
+        throw new ValidationError('Nothing to update. Send read and/or archived');
+    }
+
+    await getContact(id);
+    await store.append({ op: 'update', id, changes: allowedChanges, at: new Date().toISOString() });
+    logger('info', `Updated contact submission ${id}`, allowedChanges);
+    return getContact(id);
+}
+
+/**
+ * Permanently deletes a submission and its status updates
+ * @param {string} id - Submission id
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the submission does not exist
+ */
+async function deleteContact(id) {
+    await getContact(id);
+    await store.rewrite(records => records.filter(record => record.id !== id));
+}
+
+module.exports = {
+    submitContact,
+    listContacts,
+    getContact,
+    updateContact,
+    deleteContact,
+    store
+};
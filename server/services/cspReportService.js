@@ -0,0 +1,92 @@
+/**
+ * CSP Report Service
+ * Stores the Content-Security-Policy violation reports browsers send to security.reportUri.
+ *
+ * Two formats arrive there:
+ * - report-uri: { "csp-report": { "document-uri", "blocked-uri", ... } } (application/csp-report)
+ * - Reporting API: [{ type: 'csp-violation', body: { documentURL, blockedURL, ... } }]
+ *   (application/reports+json)
+ * Both are normalized to { receivedAt, documentUri, blockedUri, directive, disposition,
+ * sourceFile, lineNumber, sample, ip, userAgent } and appended to security.reportFile.
+ */
+const path = require('path');
+const config = require('../config');
+const { JsonlStore } = require('../utils/jsonlStore');
+const { ValidationError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+
+const store = new JsonlStore(path.join(config.paths.data, config.security.reportFile));
+
+// Limits for what a single request may store
+const MAX_REPORTS = 20;
+const MAX_FIELD_LENGTH = 500;
+
+/**
+ * Reads a field that has different names in the two formats
+ * @param {Object} report - Report body
+ * @param {...string} names - Names to try in order
+ * @returns {string|number|null} Value, strings cut to MAX_FIELD_LENGTH
+ */
+const pick = (report, ...names) => {
+    const name = names.find(key => report[key] !== undefined && report[key] !== null && report[key] !== '');
+    if (name === undefined) return null;
+    const value = report[name];
+    return typeof value === 'number' ? value : String(value).slice(0, MAX_FIELD_LENGTH);
+};
+
+/**
+ * Extracts the violations of a request body
+ * @param {*} body - Parsed request body
+ * @returns {Array<Object>} Report bodies in either format
+ */
+function extractReports(body) {
+    if (Array.isArray(body)) {
+        return body
+            .filter(entry => entry && entry.type === 'csp-violation' && entry.body && typeof entry.body === 'object')
+            .map(entry => entry.body);
+    }
+    if (body && typeof body['csp-report'] === 'object' && body['csp-report']) {
+        return [body['csp-report']];
+    }
+    return [];
+}
+
+/**
+ * Validates and stores the violation reports of a request
+ * @param {*} body - Parsed request body
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.ip - Client IP address
+ * @param {string} meta.userAgent - Client user agent
+ * @returns {Promise<number>} Number of stored reports
+ * @throws {ValidationError} If the body contains no CSP violation report
+ */
+async function recordReports(body, { ip, userAgent } = {}) {
+    const reports = extractReports(body);
+    if (reports.length === 0) {
+        throw new ValidationError('No CSP violation report in the request body');
+    }
+
+    const receivedAt = new Date().toISOString();
+    const records = reports.slice(0, MAX_REPORTS).map(report => ({
+        receivedAt,
+        documentUri: pick(report, 'document-uri', 'documentURL'),
+        blockedUri: pick(report, 'blocked-uri', 'blockedURL'),
+        directive: pick(report, 'effective-directive', 'effectiveDirective', 'violated-directive'),
+        disposition: pick(report, 'disposition'),
+        sourceFile: pick(report, 'source-file', 'sourceFile'),
+        lineNumber: pick(report, 'line-number', 'lineNumber'),
+        sample: pick(report, 'script-sample', 'sample'),
+        ip,
+        userAgent: userAgent ? String(userAgent).slice(0, MAX_FIELD_LENGTH) : null
+    }));
+
+    for (const record of records) {
+        logger('warn', `CSP violation: ${record.directive} blocked ${record.blockedUri} on ${record.documentUri}`);
+        await store.append(record);
+    }
+    return records.length;
+}
+
+module.exports = {
+    recordReports
+};
@@ -0,0 +1,110 @@
+/**
+ * File Watcher
+ * Watches the public files of the portfolio with fs.watch and reports changes.
+ *
+ * Only the entries of config.static.allow are watched (directories recursively).
+ * Editors usually write a file in several steps, so events for the same path are
+ * debounced by config.watch.debounce. Dotfiles and editor backups are ignored.
+ *
+ * Events:
+ * - 'change' ({ path, urlPath }) once a file was created, changed or removed;
+ *   path is absolute, urlPath is the path below the root as in a request ('/css/styles.css')
+ */
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Checks whether a changed file is a temporary file of an editor
+ * @param {string} relativePath - Path below the root
+ * @returns {boolean} Whether the change should be ignored
+ */
+const isIgnored = (relativePath) => {
+    const segments = relativePath.split(path.sep);
+    const name = segments[segments.length - 1];
+    // Dotfiles (.git, .styles.css.swp), backups (styles.css~) and vim's write test file
+    return segments.some(segment => segment.startsWith('.')) || name.endsWith('~') || name === '4913';
+};
+
+class FileWatcher extends EventEmitter {
+    constructor() {
+        super();
+        this.root = null;
+        this.watchers = [];
+        this.timers = new Map();
+    }
+
+    /**
+     * Starts watching
+     * Entries that cannot be watched (missing, or the system's watch limit reached) are
+     * logged and skipped; the server keeps working without their change events
+     * @param {string} root - Directory the entries are relative to
+     * @param {Array<string>} entries - Top-level files and directories to watch
+     */
+    start(root, entries) {
+        this.stop();
+        this.root = root;
+
+        entries.forEach(entry => {
+            const target = path.join(root, entry);
+            let stats;
+            try {
+                stats = fs.statSync(target);
+            } catch (error) {
+                return;
+            }
+
+            try {
+                // Top-level files are watched through the root so replacing them keeps working
+                const watcher = stats.isDirectory()
+                    ? fs.watch(target, { recursive: true }, (eventType, fileName) => fileName && this.handleEvent(path.join(entry, fileName.toString())))
+                    : fs.watch(root, (eventType, fileName) => fileName && fileName.toString() === entry && this.handleEvent(entry));
+                watcher.on('error', error => logger('warn', `Stopped watching ${target}: ${error.message}`));
+                this.watchers.push(watcher);
+            } catch (error) {
+                logger('warn', `Cannot watch ${target}: ${error.message}`);
+            }
+        });
+
+        logger('info', `Watching ${this.watchers.length} public entries for changes`);
+    }
+
+    /**
+     * Debounces the events of a file and reports the change
+     * @param {string} relativePath - Path below the root
+     */
+    handleEvent(relativePath) {
+        if (isIgnored(relativePath)) return;
+
+        clearTimeout(this.timers.get(relativePath));
+        this.timers.set(relativePath, setTimeout(() => {
+            this.timers.delete(relativePath);
+            const change = {
+                path: path.join(this.root, relativePath),
+                urlPath: `/${relativePath.split(path.sep).join('/')}`
+            };
+            logger('debug', `File changed: ${change.urlPath}`);
+            this.emit('change', change);
+        }, config.watch.debounce));
+    }
+
+    /**
+     * Stops watching and drops pending events
+     */
+    stop() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+// Shared watcher used by the server
+const fileWatcher = new FileWatcher();
+
+module.exports = {
+    FileWatcher,
+    fileWatcher
+};
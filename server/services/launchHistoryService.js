@@ -0,0 +1,179 @@
+/**
+ * Launch History Service
+ * Audit log of every launch request and how it ended, kept in an append-only JSONL store.
+ *
+ * The store holds two kinds of lines:
+ * - requests: { op: 'request', id, requestedAt, key, ip, userAgent, preset, parameters, outcome, error }
+ *   outcome is 'launched', 'redirected' (production) or 'rejected'; launched requests use the launch id
+ * - exits: { op: 'exit', id, exitedAt, status, phase, exitCode, signal, durationMs, killReason, error }
+ *   appended when the process manager reports the end of a launch
+ * A history entry is a request with its exit applied.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const { JsonlStore } = require('../utils/jsonlStore');
+const { parseDateFilter, paginate } = require('../utils/queryFilters');
+const { ValidationError } = require('../utils/errorHandler');
+const { logger } = require('../utils/logger');
+const { processManager, STATUS } = require('./processManager');
+
+const store = new JsonlStore(path.join(config.paths.data, config.launches.history.file));
+
+// Final states of history entries, accepted by the status filter
+const HISTORY_STATUSES = ['running', 'exited', 'failed', 'stopped', 'redirected', 'rejected', 'unknown'];
+
+/**
+ * Appends a record without letting a failed write break the caller
+ * @param {Object} record - Store record
+ * @returns {Promise<void>}
+ */
+async function appendRecord(record) {
+    try {
+        await store.append(record);
+    } catch (error) {
+        logger('error', `Could not write launch history record ${record.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Records a launch request
+ * @param {Object} request - What was requested and by whom
+ * @param {string} request.key - Project key
+ * @param {string} [request.ip] - Client IP address
+ * @param {string} [request.userAgent] - Client user agent
+ * @param {string} [request.preset] - Requested preset name
+ * @param {Object|null} [request.parameters] - Resolved parameters
+ * @param {Object} result - What happened
+ * @param {Object} [result.launch] - Launch record when the app was started
+ * @param {string} [result.redirect] - Redirect URL in production
+ * @param {Error} [result.error] - Error that rejected the request
+ * @returns {Promise<void>}
+ */
+function recordRequest({ key, ip, userAgent, preset, parameters }, { launch, redirect, error } = {}) {
+    let outcome = 'launched';
+    if (error) {
+        outcome = 'rejected';
+    } else if (redirect) {
+        outcome = 'redirected';
+    }
+
+    return appendRecord({
+        op: 'request',
+        id: launch ? launch.id : crypto.randomUUID(),
+        requestedAt: new Date().toISOString(),
+        key,
+        ip: ip || null,
+        userAgent: userAgent || null,
+        preset: typeof preset === 'string' ? preset : null,
+        parameters: parameters || null,
+        outcome,
+        error: error ? error.message : null
+    });
+}
+
+/**
+ * Records the end of a launch
+ * @param {Object} launch - Finished launch record
+ * @returns {Promise<void>}
+ */
+function recordExit(launch) {
+    const { exitedAt, status, phase, exitCode, signal, durationMs, killReason, error } = processManager.toJSON(launch);
+    return appendRecord({ op: 'exit', id: launch.id, exitedAt, status, phase, exitCode, signal, durationMs, killReason, error });
+}
+
+processManager.on('exit', recordExit);
+
+/**
+ * Folds requests and exits into history entries
+ * @param {Array<Object>} records - Raw store records
+ * @returns {Array<Object>} Entries in request order
+ */
+const foldRecords = (records) => {
+    const entries = new Map();
+
+    records.forEach(record => {
+        if (record.op === 'exit') {
+            const entry = entries.get(record.id);
+            if (entry) {
+                const { op, id, error, ...exit } = record;
+                entries.set(id, { ...entry, ...exit, error: error || entry.error });
+            }
+            return;
+        }
+
+        const { op, outcome, ...request } = record;
+        entries.set(record.id, {
+            ...request,
+            outcome,
+            status: outcome === 'launched' ? null : outcome,
+            phase: null,
+            exitedAt: null,
+            exitCode: null,
+            signal: null,
+            durationMs: null,
+            killReason: null
+        });
+    });
+
+    return Array.from(entries.values()).map(entry => {
+        if (entry.status) return entry;
+
+        // Launched but no exit recorded: still running, or the server stopped before it ended
+        const launch = processManager.launches.get(entry.id);
+        if (!launch || ![STATUS.RUNNING, STATUS.STOPPING].includes(launch.status)) {
+            return { ...entry, status: 'unknown' };
+        }
+        const { phase, durationMs } = processManager.toJSON(launch);
+        return { ...entry, status: 'running', phase, durationMs };
+    });
+};
+
+/**
+ * Lists launch history entries, newest first
+ * @param {Object} [query] - Query options
+ * @param {string} [query.key] - Only this project
+ * @param {string} [query.status] - Only entries in this state (see HISTORY_STATUSES)
+ * @param {string} [query.ip] - Only requests from this client IP
+ * @param {string} [query.from] - Only requests at or after this date
+ * @param {string} [query.to] - Only requests at or before this date
+ * @param {string|number} [query.page=1] - Page number
+ * @param {string|number} [query.pageSize] - Page size (capped at config.launches.history.maxPageSize)
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeClient=false] - Whether to include the client IP and user agent
+ * @returns {Promise<Object>} { launches, total, page, pageSize, totalPages }
+ * @throws {ValidationError} If a filter is invalid
+ */
+async function listHistory(query = {}, { includeClient = false } = {}) {
+    if (query.status && !HISTORY_STATUSES.includes(query.status)) {
+        throw new ValidationError(`Unknown status filter. Expected one of: ${HISTORY_STATUSES.join(', ')}`);
+    }
+    if (query.ip && !includeClient) {
+        throw new ValidationError('Filtering by ip requires the admin token');
+    }
+
+    const from = parseDateFilter(query.from, 'from');
+    const to = parseDateFilter(query.to, 'to', true);
+
+    const matches = foldRecords(await store.readAll())
+        .filter(entry => !query.key || entry.key === query.key)
+        .filter(entry => !query.status || entry.status === query.status)
+        .filter(entry => !query.ip || entry.ip === query.ip)
+        .filter(entry => {
+            const requestedAt = Date.parse(entry.requestedAt);
+            return (from === null || requestedAt >= from) && (to === null || requestedAt <= to);
+        })
+        .reverse()
+        // Client details are personal data; only the admin sees them
+        .map(({ ip, userAgent, ...entry }) => (includeClient ? { ...entry, ip, userAgent } : entry));
+
+    const { items, ...paging } = paginate(matches, query, config.launches.history);
+    return { launches: items, ...paging };
+}
+
+module.exports = {
+    recordRequest,
+    recordExit,
+    listHistory,
+    store
+};
@@ -0,0 +1,250 @@
+/**
+ * Launch Parameter Service
+ * Validates launch parameters against the schemas shared with the browser
+ * (js/modules/data/launchParameters.js) and stores named presets.
+ *
+ * Saved presets live in one JSON file inside paths.data:
+ * { "<project key>": { "<preset name>": { parameters, updatedAt } } }
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { loadSharedModule } = require('../utils/sharedModules');
+const { getLauncher } = require('./launcherService');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+const presetsFile = path.join(config.paths.data, config.launches.parameters.presetsFile);
+
+// Serializes preset file writes so concurrent saves do not lose each other's changes
+let presetQueue = Promise.resolve();
+
+/**
+ * Loads the shared parameter and validation modules
+ * @returns {Promise<Object>} Exports of both modules
+ */
+async function loadModules() {
+    const [parameters, validation] = await Promise.all([
+        loadSharedModule('data/launchParameters.js'),
+        loadSharedModule('utils/validation.js')
+    ]);
+    return { ...parameters, ...validation };
+}
+
+/**
+ * Gets the parameter schema of a launcher that accepts parameters
+ * @param {string} key - Project key
+ * @returns {Promise<Object>} { launcher, schema, modules }
+ * @throws {NotFoundError} If no launcher is registered for the key
+ * @throws {ValidationError} If the launcher takes no parameters
+ */
+async function getParameterSchema(key) {
+    const launcher = getLauncher(key);
+    const modules = await loadModules();
+    const schema = launcher.parameters ? modules.getLaunchParameterSchema(key) : null;
+
+    if (!schema) {
+        throw new ValidationError(`${launcher.name} does not accept launch parameters`);
+    }
+    return { launcher, schema, modules };
+}
+
+/**
+ * Checks that launch parameters are a plain object, as parsed from JSON
+ * @param {*} values - Parameter values
+ * @throws {ValidationError} If the values are null, an array or not an object
+ */
+function assertParameterObject(values) {
+    if (!values || typeof values !== 'object' || Object.getPrototypeOf(values) !== Object.prototype) {
+        throw new ValidationError('Launch parameters must be an object');
+    }
+}
+
+/**
+ * Validates a full parameter set
+ * @param {Object} values - Parameter values
+ * @param {Object} schema - Parameter schema
+ * @param {Object} modules - Shared modules
+ * @returns {Object} Normalized parameters
+ * @throws {ValidationError} If a field is unknown or invalid
+ */
+function validateParameters(values, schema, modules) {
+    assertParameterObject(values);
+
+    const unknown = Object.keys(values).filter(field => !Object.prototype.hasOwnProperty.call(schema, field));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown launch parameters: ${unknown.join(', ')}`);
+    }
+
+    const { isValid, errors } = modules.validateSchema(values, schema);
+    if (!isValid) {
+        throw new ValidationError(modules.getFirstErrorMessage(errors, schema), { fields: errors });
+    }
+
+    return modules.normalizeParameters(values, schema);
+}
+
+/**
+ * Reads the saved presets of all projects
+ * @returns {Promise<Object>} Presets by project key
+ */
+async function readPresetsFile() {
+    try {
+        return JSON.parse(await fs.readFile(presetsFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Changes the saved presets and writes the file atomically
+ * @param {Function} change - Receives the presets object and modifies it
+ * @returns {Promise<*>} What change returned
+ */
+function updatePresetsFile(change) {
+    const update = presetQueue.then(async () => {
+        const presets = await readPresetsFile();
+        const result = change(presets);
+
+        const tempFile = `${presetsFile}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(presetsFile), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify(presets, null, 2), 'utf8');
+        await fs.rename(tempFile, presetsFile);
+        return result;
+    });
+
+    // Keep the queue going after a failed write
+    presetQueue = update.catch(() => {});
+    return update;
+}
+
+/**
+ * Lists the built-in and saved presets of a launcher
+ * @param {string} key - Project key
+ * @returns {Promise<Array<Object>>} Presets: { name, builtIn, parameters, updatedAt }
+ */
+async function listPresets(key) {
+    const { modules } = await getParameterSchema(key);
+    const saved = (await readPresetsFile())[key] || {};
+
+    const builtIn = Object.entries(modules.getBuiltInPresets(key))
+        .map(([name, parameters]) => ({ name, builtIn: true, parameters, updatedAt: null }));
+    const custom = Object.entries(saved)
+        .map(([name, preset]) => ({ name, builtIn: false, ...preset }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    return [...builtIn, ...custom];
+}
+
+/**
+ * Validates a preset name
+ * @param {string} name - Preset name
+ * @returns {string} Trimmed name
+ * @throws {ValidationError} If the name is empty, too long or uses unsupported characters
+ */
+function validatePresetName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    // __proto__ would replace the prototype of the presets object instead of adding a preset
+    if (!/^[\w][\w .-]{0,49}$/.test(trimmed) || trimmed === '__proto__') {
+        throw new ValidationError('Preset names must be 1-50 letters, digits, spaces, dots, dashes or underscores');
+    }
+    return trimmed;
+}
+
+/**
+ * Saves or replaces a named preset
+ * @param {string} key - Project key
+ * @param {string} name - Preset name
+ * @param {Object} values - Full parameter set
+ * @returns {Promise<Object>} The saved preset
+ * @throws {ValidationError} If the name is invalid or the parameters are not an object or invalid
+ * @throws {ConflictError} If the name belongs to a built-in preset or the preset limit is reached
+ */
+async function savePreset(key, name, values) {
+    assertParameterObject(values);
+    const { schema, modules } = await getParameterSchema(key);
+    const presetName = validatePresetName(name);
+
+    if (Object.prototype.hasOwnProperty.call(modules.getBuiltInPresets(key), presetName)) {
+        throw new ConflictError(`"${presetName}" is a built-in preset and cannot be replaced`);
+    }
+
+    const parameters = validateParameters(values, schema, modules);
+
+    return updatePresetsFile(presets => {
+        const projectPresets = presets[key] || (presets[key] = {});
+        const isNew = !Object.prototype.hasOwnProperty.call(projectPresets, presetName);
+
+        if (isNew && Object.keys(projectPresets).length >= config.launches.parameters.maxPresets) {
+            throw new ConflictError(`Cannot save more than ${config.launches.parameters.maxPresets} presets`);
+        }
+
+        projectPresets[presetName] = { parameters, updatedAt: new Date().toISOString() };
+        return { name: presetName, builtIn: false, ...projectPresets[presetName] };
+    });
+}
+
+/**
+ * Deletes a saved preset
+ * @param {string} key - Project key
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If no saved preset has the name
+ */
+async function deletePreset(key, name) {
+    await getParameterSchema(key);
+
+    return updatePresetsFile(presets => {
+        if (!presets[key] || !Object.prototype.hasOwnProperty.call(presets[key], name)) {
+            throw new NotFoundError('Preset not found');
+        }
+        delete presets[key][name];
+    });
+}
+
+/**
+ * Resolves the parameters of a launch request
+ * Defaults are overlaid with the chosen preset, then with explicit parameters
+ * @param {string} key - Project key
+ * @param {Object} body - Request body: { preset, parameters }
+ * @returns {Promise<Object|null>} Validated parameters, or null for launchers without parameters
+ * @throws {ValidationError} If the parameters are invalid or the launcher takes none
+ * @throws {NotFoundError} If the preset does not exist
+ */
+async function resolveLaunchParameters(key, body = {}) {
+    const launcher = getLauncher(key);
+    const { preset, parameters } = body || {};
+
+    if (!launcher.parameters) {
+        if (preset !== undefined || parameters !== undefined) {
+            throw new ValidationError(`${launcher.name} does not accept launch parameters`);
+        }
+        return null;
+    }
+
+    const { schema, modules } = await getParameterSchema(key);
+    let values = modules.getDefaultParameters(key);
+
+    if (preset !== undefined) {
+        const match = (await listPresets(key)).find(candidate => candidate.name === preset);
+        if (!match) {
+            throw new NotFoundError('Preset not found');
+        }
+        values = { ...values, ...match.parameters };
+    }
+
+    // Spreading a string or array would pass its characters or items off as fields
+    if (parameters !== undefined) {
+        assertParameterObject(parameters);
+        values = { ...values, ...parameters };
+    }
+
+    return validateParameters(values, schema, modules);
+}
+
+module.exports = {
+    listPresets,
+    savePreset,
+    deletePreset,
+    resolveLaunchParameters
+};
@@ -0,0 +1,272 @@
+/**
+ * Launcher Service
+ * Starts the applications described in the launcher registry (server/launchers.js)
+ * through the process manager.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const launchers = require('../launchers');
+const { logger } = require('../utils/logger');
+const { findExecutable } = require('../utils/executables');
+const { processManager } = require('./processManager');
+const sandbox = require('./sandbox');
+const buildCache = require('./buildCache');
+const { NotFoundError, ValidationError, FileError } = require('../utils/errorHandler');
+
+/**
+ * Gets a launcher registry entry
+ * @param {string} key - Project key
+ * @returns {Object} Launcher entry with its key
+ * @throws {NotFoundError} If no launcher is registered for the key
+ */
+function getLauncher(key) {
+    if (!Object.prototype.hasOwnProperty.call(launchers, key)) {
+        throw new NotFoundError('No launcher registered for this project');
+    }
+    return { key, ...launchers[key] };
+}
+
+/**
+ * Resolves a launcher command; commands with a slash are relative to the launcher's cwd
+ * @param {Object} launcher - Launcher entry
+ * @returns {string} Command to spawn
+ */
+function resolveCommand(launcher) {
+    return launcher.command.includes('/')
+        ? path.resolve(launcher.cwd, launcher.command)
+        : launcher.command;
+}
+
+/**
+ * Writes launch parameters as a Java properties file for the launched app
+ * Every launch gets its own file, so a second launch that is rejected as a duplicate
+ * cannot change the parameters of the running instance
+ * @param {string} key - Project key
+ * @param {Object} parameters - Validated parameters
+ * @returns {Promise<string>} Absolute path of the file
+ */
+async function writeParametersFile(key, parameters) {
+    const file = path.join(config.paths.data, config.launches.parameters.dir, `${key}-${crypto.randomUUID()}.properties`);
+    const lines = [
+        `# Launch parameters for ${key}, generated ${new Date().toISOString()}`,
+        ...Object.entries(parameters).map(([field, value]) => `${field}=${value}`)
+    ];
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, lines.join('\n') + '\n', 'utf8');
+    return file;
+}
+
+/**
+ * Removes the parameters file of a launch
+ * @param {string} file - Path of the file
+ */
+const removeParametersFile = (file) => {
+    fs.promises.unlink(file).catch(error => logger('warn', `Cannot remove ${file}: ${error.message}`));
+};
+
+/**
+ * Builds the sandboxed process specification for a launcher
+ * When the build is not current the process manager runs the build step first, in
+ * the launch's 'building' phase, and records the build's fingerprint once it succeeds
+ * @param {Object} launcher - Launcher entry
+ * @param {string|null} parametersFile - Generated parameters file passed with launcher.parameters.arg
+ * @param {Object|null} build - Result of buildCache.checkBuild, or null without a build step
+ * @returns {Object} Process specification for processManager.launch
+ */
+function createProcessSpec(launcher, parametersFile, build) {
+    const args = [...(launcher.args || [])];
+    if (parametersFile) {
+        args.push(launcher.parameters.arg, parametersFile);
+    }
+
+    const limits = sandbox.resolveLimits(launcher);
+    const spec = {
+        ...sandbox.wrapWithLimits(resolveCommand(launcher), args, limits),
+        cwd: launcher.cwd,
+        env: sandbox.createEnv(launcher),
+        limits
+    };
+
+    if (build && !build.current) {
+        spec.build = sandbox.wrapWithLimits(launcher.build.command, launcher.build.args || [], limits);
+        spec.onBuilt = () => buildCache.recordBuild(launcher, build.fingerprint);
+    }
+
+    return spec;
+}
+
+/**
+ * Checks that the launcher's directory and executable exist
+ * @param {Object} launcher - Launcher entry
+ * @throws {FileError} If the directory or executable is missing
+ */
+function assertInstalled(launcher) {
+    if (!fs.existsSync(launcher.cwd)) {
+        logger('error', `${launcher.name} path does not exist: ${launcher.cwd}`);
+        throw new FileError(`${launcher.name} path not found`, 'LAUNCHER_PATH_NOT_FOUND');
+    }
+
+    // Executables inside the project only exist after a build
+    if (launcher.command.includes('/') && !launcher.build) {
+        const executable = resolveCommand(launcher);
+        try {
+            fs.accessSync(executable, fs.constants.X_OK);
+        } catch (error) {
+            logger('error', `${launcher.name} executable not found or not executable: ${executable}`);
+            throw new FileError(`${launcher.name} executable not found`, 'LAUNCHER_EXECUTABLE_NOT_FOUND');
+        }
+    }
+}
+
+/**
+ * Checks that the binaries a launcher needs are on the PATH
+ * Launches run behind prlimit or /bin/sh, which spawn fine even when the real command
+ * is missing, so a missing binary has to be caught before the launch
+ * @param {Object} launcher - Launcher entry
+ * @throws {FileError} If a binary in launcher.requires is missing
+ */
+function assertRequirements(launcher) {
+    const missing = (launcher.requires || []).filter(binary => !findExecutable(binary));
+    if (missing.length > 0) {
+        logger('error', `${launcher.name} needs binaries that are not installed: ${missing.join(', ')}`);
+        throw new FileError(`${launcher.name} needs ${missing.join(', ')}, which is not installed on this server`, 'LAUNCHER_BINARY_NOT_FOUND');
+    }
+}
+
+/**
+ * Checks whether a launcher can run on this server without starting it
+ * @param {string} key - Project key
+ * @returns {Promise<Object>} Preflight result:
+ *   status 'available', 'needs-build' or 'unavailable', plus the individual checks
+ *   ({ name, ok, message }) and the messages of the failed ones as problems
+ * @throws {NotFoundError} If no launcher is registered for the key
+ */
+async function preflight(key) {
+    const launcher = getLauncher(key);
+    const checks = [];
+    const check = (name, ok, message) => checks.push({ name, ok, message });
+
+    if (config.isProduction) {
+        check('production', Boolean(launcher.productionUrl), launcher.productionUrl
+            ? `Opens ${launcher.productionUrl}`
+            : `${launcher.name} cannot be launched on this server`);
+    } else {
+        const platforms = launcher.platforms || [];
+        check('platform', platforms.length === 0 || platforms.includes(process.platform), platforms.length
+            ? `Runs on ${platforms.join(', ')} (this server: ${process.platform})`
+            : 'Runs on any platform');
+
+        (launcher.requires || []).forEach(binary => {
+            const found = findExecutable(binary);
+            check(`binary:${binary}`, Boolean(found), found ? `${binary} found at ${found}` : `${binary} is not installed`);
+        });
+
+        const installed = fs.existsSync(launcher.cwd);
+        check('path', installed, installed ? 'Application directory found' : `${launcher.name} is not installed on this server`);
+
+        const jailProblems = sandbox.checkJail(launcher);
+        check('jail', jailProblems.length === 0, jailProblems.length ? jailProblems.join('; ') : 'Paths are inside the allowed launch directories');
+
+        if (installed && launcher.command.includes('/') && !launcher.build) {
+            let executable = true;
+            try {
+                fs.accessSync(resolveCommand(launcher), fs.constants.X_OK);
+            } catch (error) {
+                executable = false;
+            }
+            check('executable', executable, executable ? 'Executable found' : `${launcher.command} is missing or not executable`);
+        }
+    }
+
+    const problems = checks.filter(result => !result.ok).map(result => result.message);
+    let needsBuild = false;
+    if (!config.isProduction && problems.length === 0 && launcher.build) {
+        const build = await buildCache.checkBuild(launcher);
+        needsBuild = !build.current;
+        check('build', true, build.reason);
+    }
+
+    let status = 'available';
+    if (problems.length > 0) {
+        status = 'unavailable';
+    } else if (needsBuild) {
+        status = 'needs-build';
+    }
+
+    return {
+        key,
+        name: launcher.name,
+        status,
+        needsBuild,
+        redirect: config.isProduction ? launcher.productionUrl || null : null,
+        platform: process.platform,
+        checks,
+        problems
+    };
+}
+
+/**
+ * Launches a registered application
+ * In production nothing is started; the result points to the launcher's productionUrl instead
+ * @param {string} key - Project key
+ * @param {Object} [options] - Launch options
+ * @param {Object|null} [options.parameters] - Validated launch parameters (see launchParameterService)
+ * @returns {Promise<Object>} { launcher, launch } or { launcher, redirect }
+ * @throws {NotFoundError} If no launcher is registered for the key
+ * @throws {ValidationError} If the launcher cannot run in production
+ * @throws {FileError} If the application or a required binary is not installed, or the application
+ *   is outside the allowed launch directories
+ * @throws {ConflictError} If the application is already running
+ */
+async function startLauncher(key, { parameters = null } = {}) {
+    const launcher = getLauncher(key);
+
+    if (config.isProduction) {
+        if (!launcher.productionUrl) {
+            throw new ValidationError(`${launcher.name} cannot be launched on this server`);
+        }
+        logger('info', `Running in production environment - redirecting ${key} to ${launcher.productionUrl}`);
+        return { launcher, redirect: launcher.productionUrl };
+    }
+
+    sandbox.assertInJail(launcher);
+    assertInstalled(launcher);
+    assertRequirements(launcher);
+
+    const parametersFile = parameters && launcher.parameters
+        ? await writeParametersFile(key, parameters)
+        : null;
+
+    const build = launcher.build ? await buildCache.checkBuild(launcher) : null;
+    if (build && build.current) {
+        logger('info', `Skipping the ${launcher.name} build: ${build.reason}`);
+    }
+
+    let launch;
+    try {
+        launch = await processManager.launch(key, createProcessSpec(launcher, parametersFile, build));
+    } catch (error) {
+        if (parametersFile) removeParametersFile(parametersFile);
+        throw error;
+    }
+
+    // The file is only read by this launch
+    if (parametersFile) {
+        const onExit = (exited) => {
+            if (exited.id !== launch.id) return;
+            processManager.removeListener('exit', onExit);
+            removeParametersFile(parametersFile);
+        };
+        processManager.on('exit', onExit);
+    }
+    return { launcher, launch };
+}
+
+module.exports = {
+    getLauncher,
+    preflight,
+    startLauncher
+};
@@ -0,0 +1,83 @@
+/**
+ * Live Reload Service
+ * Tells browsers in development to reload when the portfolio's files change.
+ *
+ * HTML pages get a script tag for server/dev/liveReloadClient.js, which listens to
+ * GET /api/dev/live-reload. Changes reported by the file watcher are sent as 'css'
+ * events for stylesheets (swapped in place) and 'reload' events for everything else.
+ * Every stream starts with a 'hello' event carrying the id of this server process, so
+ * pages reload after a restart as well.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { fileWatcher } = require('./fileWatcher');
+const { openEventStream } = require('../utils/sse');
+const { sendFile } = require('../utils/response');
+const { NotFoundError } = require('../utils/errorHandler');
+
+const CLIENT_SCRIPT = path.join(__dirname, '..', 'dev', 'liveReloadClient.js');
+const SNIPPET = '<script src="/api/dev/live-reload.js"></script>\n';
+
+// Changes with each start of the server
+const serverId = crypto.randomUUID();
+
+/**
+ * Checks that live reload is enabled
+ * @throws {NotFoundError} If live reload is off, as it is in production
+ */
+function requireLiveReload() {
+    if (!config.watch.enabled || !config.watch.liveReload) {
+        throw new NotFoundError('Live reload is not enabled');
+    }
+}
+
+/**
+ * Adds the live reload script to an HTML page, before </body> when there is one
+ * @param {Buffer} html - Page content
+ * @returns {Buffer} Page with the script tag
+ */
+function injectLiveReload(html) {
+    const page = html.toString('utf8');
+    const index = page.toLowerCase().lastIndexOf('</body>');
+    return Buffer.from(index === -1 ? page + SNIPPET : page.slice(0, index) + SNIPPET + page.slice(index), 'utf8');
+}
+
+/**
+ * Streams change events to a page
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @throws {NotFoundError} If live reload is off
+ */
+function openLiveReloadStream(req, res) {
+    requireLiveReload();
+
+    const onChange = ({ urlPath }) => {
+        stream.send(path.extname(urlPath) === '.css' ? 'css' : 'reload', { path: urlPath });
+    };
+    const stream = openEventStream(req, res, {
+        retry: 1000,
+        onClose: () => fileWatcher.removeListener('change', onChange)
+    });
+
+    stream.send('hello', { serverId });
+    fileWatcher.on('change', onChange);
+}
+
+/**
+ * Sends the live reload client script
+ * @param {http.ServerResponse} res - HTTP response object
+ * @throws {NotFoundError} If live reload is off
+ */
+async function sendClientScript(res) {
+    requireLiveReload();
+    const { size } = await fs.promises.stat(CLIENT_SCRIPT);
+    await sendFile(res, CLIENT_SCRIPT, { contentType: 'text/javascript', size });
+}
+
+module.exports = {
+    injectLiveReload,
+    openLiveReloadStream,
+    sendClientScript
+};
@@ -0,0 +1,528 @@
+/**
+ * Process Manager
+ * Starts launchable project processes and keeps track of them:
+ * PID, start time, exit code, status and a bounded buffer of output lines.
+ * Only one instance per project key may run at a time.
+ *
+ * Each process runs in its own process group so stopping a launch also stops
+ * the processes it started (e.g. sh -> mvn -> java).
+ *
+ * A launch can start with a build step: its phase moves from 'building' to 'starting'
+ * and 'running' ('phase' events); a failed build fails the launch.
+ *
+ * Launches can be given limits for wall-clock runtime, group memory and output size.
+ * A launch that exceeds one is killed, marked failed and keeps the reason in killReason.
+ * CPU and address-space limits are applied by the kernel (see services/sandbox.js);
+ * a process killed with SIGXCPU is reported with the 'max-cpu' reason.
+ */
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { ConflictError, NotFoundError } = require('../utils/errorHandler');
+const { readGroupMemory } = require('./sandbox');
+
+const STATUS = {
+    RUNNING: 'running',
+    STOPPING: 'stopping',
+    EXITED: 'exited',
+    FAILED: 'failed',
+    STOPPED: 'stopped'
+};
+
+// What a running launch is doing
+const PHASE = {
+    BUILDING: 'building',
+    STARTING: 'starting',
+    RUNNING: 'running'
+};
+
+// Why a launch was killed by the manager or the kernel
+const KILL_REASON = {
+    MAX_RUNTIME: 'max-runtime',
+    MAX_MEMORY: 'max-memory',
+    MAX_CPU: 'max-cpu',
+    MAX_OUTPUT: 'max-output'
+};
+
+class ProcessManager extends EventEmitter {
+    /**
+     * @param {Object} [options] - Manager options (defaults from config.launches)
+     * @param {number} [options.maxOutputLines] - Output lines kept per launch
+     * @param {number} [options.maxFinished] - Finished launches kept in memory
+     * @param {number} [options.stopTimeout] - Milliseconds between SIGTERM and SIGKILL
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...config.launches, ...options };
+        this.launches = new Map();
+    }
+
+    /**
+     * Finds the running launch for a project key
+     * @param {string} key - Project key
+     * @returns {Object|null} Running launch or null
+     */
+    findRunning(key) {
+        for (const launch of this.launches.values()) {
+            if (launch.key === key && (launch.status === STATUS.RUNNING || launch.status === STATUS.STOPPING)) {
+                return launch;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Starts a process for a project, optionally after a build step
+     * The build runs as the 'building' phase of the same launch; when it succeeds the
+     * app is started ('starting', then 'running'), when it fails the launch fails
+     * and keeps the tail of the build output in failureOutput.
+     * @param {string} key - Project key
+     * @param {Object} spec - Process specification
+     * @param {string} spec.command - Executable to run
+     * @param {Array<string>} [spec.args] - Arguments
+     * @param {string} [spec.cwd] - Working directory
+     * @param {Object} [spec.env] - Environment variables
+     * @param {Object} [spec.build] - Build step { command, args } run in cwd before the command
+     * @param {Function} [spec.onBuilt] - Called after the build step succeeded
+     * @param {Object} [spec.limits] - Limits enforced by the manager for the whole launch
+     * @param {number} [spec.limits.maxRuntime] - Wall-clock milliseconds
+     * @param {number} [spec.limits.maxMemory] - Resident bytes of the whole process group
+     * @param {number} [spec.limits.maxOutputBytes] - Bytes of stdout + stderr
+     * @returns {Promise<Object>} The launch record once the first process has started
+     * @throws {ConflictError} If an instance of the project is already running
+     * @throws {Error} If the process cannot be started
+     */
+    launch(key, { command, args = [], cwd, env = process.env, build = null, onBuilt = null, limits = {} }) {
+        const running = this.findRunning(key);
+        if (running) {
+            throw new ConflictError(`${key} is already running (launch ${running.id}, PID ${running.pid})`);
+        }
+
+        const launch = {
+            id: crypto.randomUUID(),
+            key,
+            command,
+            args,
+            build: build ? { command: build.command, args: build.args || [] } : null,
+            cwd: cwd || null,
+            pid: null,
+            status: STATUS.RUNNING,
+            phase: build ? PHASE.BUILDING : PHASE.STARTING,
+            startedAt: new Date().toISOString(),
+            exitedAt: null,
+            exitCode: null,
+            signal: null,
+            error: null,
+            failureOutput: null,
+            limits,
+            killReason: null,
+            outputBytes: 0,
+            output: [],
+            outputSeq: 0,
+            partialLines: { stdout: '', stderr: '' },
+            // Characters split across chunks are decoded once their last byte arrives
+            decoders: { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') },
+            timers: [],
+            spawnOptions: { cwd, env },
+            onBuilt
+        };
+
+        this.launches.set(launch.id, launch);
+
+        const first = build ? launch.build : { command, args };
+        return this.spawnPhase(launch, first)
+            .then(() => {
+                this.watchLimits(launch);
+                this.emit('start', launch);
+                return launch;
+            })
+            .catch(error => {
+                // The launch never started
+                this.launches.delete(launch.id);
+                throw error;
+            });
+    }
+
+    /**
+     * Spawns the process of the current phase in its own process group
+     * @param {Object} launch - Launch record
+     * @param {Object} processSpec - { command, args }
+     * @returns {Promise<void>} Resolves once the process has spawned
+     * @private
+     */
+    spawnPhase(launch, { command, args }) {
+        return new Promise((resolve, reject) => {
+            let spawned = false;
+            const child = spawn(command, args, {
+                ...launch.spawnOptions,
+                detached: true,
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+
+            launch.child = child;
+
+            child.stdout.on('data', chunk => this.appendOutput(launch, 'stdout', chunk));
+            child.stderr.on('data', chunk => this.appendOutput(launch, 'stderr', chunk));
+
+            child.once('spawn', () => {
+                spawned = true;
+                launch.pid = child.pid;
+                logger('info', `${launch.phase === PHASE.BUILDING ? 'Building' : 'Launched'} ${launch.key} (launch ${launch.id}, PID ${child.pid}): ${command} ${args.join(' ')}`);
+                if (launch.status === STATUS.STOPPING) {
+                    // Stopped between the build and the app start
+                    this.signalGroup(launch, 'SIGTERM');
+                } else if (launch.phase === PHASE.STARTING) {
+                    this.setPhase(launch, PHASE.RUNNING);
+                }
+                resolve();
+            });
+
+            child.once('error', error => {
+                // Errors before 'spawn' mean the process never started
+                if (!spawned) {
+                    reject(error);
+                    return;
+                }
+                launch.error = error.message;
+                logger('error', `Process error for ${launch.key} (launch ${launch.id}): ${error.message}`);
+            });
+
+            child.once('close', (code, signal) => {
+                // A process that never started was already rejected above
+                if (spawned) this.handlePhaseExit(launch, code, signal);
+            });
+        });
+    }
+
+    /**
+     * Moves a launch to another phase and notifies listeners
+     * @param {Object} launch - Launch record
+     * @param {string} phase - One of PHASE
+     * @private
+     */
+    setPhase(launch, phase) {
+        launch.phase = phase;
+        this.emit('phase', launch);
+    }
+
+    /**
+     * Handles the end of a phase's process: starts the app after a successful build,
+     * otherwise finishes the launch
+     * @param {Object} launch - Launch record
+     * @param {number|null} code - Exit code
+     * @param {string|null} signal - Terminating signal
+     * @private
+     */
+    handlePhaseExit(launch, code, signal) {
+        const buildSucceeded = launch.phase === PHASE.BUILDING && code === 0 &&
+            !launch.killReason && launch.status === STATUS.RUNNING;
+
+        if (!buildSucceeded) {
+            if (launch.phase === PHASE.BUILDING && launch.status === STATUS.RUNNING && !launch.killReason) {
+                launch.error = `Build failed with exit code ${code}${signal ? ` (signal ${signal})` : ''}`;
+                this.flushPartialLines(launch);
+                launch.failureOutput = launch.output.slice(-this.options.failureOutputLines).map(line => line.text);
+            }
+            this.handleExit(launch, code, signal);
+            return;
+        }
+
+        this.flushPartialLines(launch);
+        logger('info', `Build of ${launch.key} (launch ${launch.id}) succeeded`);
+        if (typeof launch.onBuilt === 'function') {
+            launch.onBuilt(launch);
+        }
+
+        this.setPhase(launch, PHASE.STARTING);
+        this.spawnPhase(launch, { command: launch.command, args: launch.args }).catch(error => {
+            launch.error = `Could not start ${launch.key} after building: ${error.message}`;
+            this.handleExit(launch, null, null);
+        });
+    }
+
+    /**
+     * Starts the runtime and memory watchdogs of a launch
+     * @param {Object} launch - Launch record
+     * @private
+     */
+    watchLimits(launch) {
+        const { maxRuntime, maxMemory } = launch.limits;
+
+        if (maxRuntime) {
+            launch.timers.push(setTimeout(() => {
+                this.kill(launch, KILL_REASON.MAX_RUNTIME, `Exceeded the maximum runtime of ${maxRuntime / 1000}s`);
+            }, maxRuntime));
+        }
+
+        if (maxMemory) {
+            let checking = false;
+            launch.timers.push(setInterval(async () => {
+                if (checking || !launch.child) return;
+                checking = true;
+                const used = await readGroupMemory(launch.pid);
+                checking = false;
+                if (used !== null && used > maxMemory) {
+                    this.kill(launch, KILL_REASON.MAX_MEMORY, `Exceeded the memory limit of ${Math.round(maxMemory / 1048576)} MB`);
+                }
+            }, this.options.sandbox.memoryCheckInterval));
+        }
+    }
+
+    /**
+     * Kills a launch that exceeded a limit: SIGTERM, then SIGKILL after the grace period
+     * @param {Object} launch - Launch record
+     * @param {string} reason - One of KILL_REASON
+     * @param {string} message - Description stored as the launch error
+     * @private
+     */
+    kill(launch, reason, message) {
+        if (!launch.child || launch.killReason) return;
+
+        launch.killReason = reason;
+        launch.error = message;
+        logger('warn', `Killing ${launch.key} (launch ${launch.id}): ${message}`);
+
+        this.signalGroup(launch, 'SIGTERM');
+        launch.timers.push(setTimeout(() => {
+            if (launch.child) this.signalGroup(launch, 'SIGKILL');
+        }, this.options.stopTimeout));
+    }
+
+    /**
+     * Splits output chunks into lines and stores them in the bounded buffer
+     * Output beyond limits.maxOutputBytes is dropped and the launch is killed
+     * @param {Object} launch - Launch record
+     * @param {string} stream - 'stdout' or 'stderr'
+     * @param {Buffer} chunk - Output chunk
+     * @private
+     */
+    appendOutput(launch, stream, chunk) {
+        const { maxOutputBytes } = launch.limits;
+        if (maxOutputBytes && launch.outputBytes >= maxOutputBytes) return;
+
+        launch.outputBytes += chunk.length;
+        let truncated = false;
+        if (maxOutputBytes && launch.outputBytes > maxOutputBytes) {
+            chunk = chunk.subarray(0, chunk.length - (launch.outputBytes - maxOutputBytes));
+            launch.outputBytes = maxOutputBytes;
+            truncated = true;
+            this.kill(launch, KILL_REASON.MAX_OUTPUT, `Exceeded the output limit of ${Math.round(maxOutputBytes / 1024)} KB`);
+        }
+
+        const text = launch.decoders[stream].write(chunk);
+        if (truncated) {
+            // A character cut by the limit is dropped instead of ending up as U+FFFD
+            launch.decoders[stream] = new StringDecoder('utf8');
+        }
+
+        const lines = (launch.partialLines[stream] + text).split(/\r?\n/);
+        launch.partialLines[stream] = lines.pop();
+        lines.forEach(text => this.addLine(launch, stream, text));
+    }
+
+    /**
+     * Adds one output line and emits it to listeners
+     * @param {Object} launch - Launch record
+     * @param {string} stream - 'stdout' or 'stderr'
+     * @param {string} text - Line without newline
+     * @private
+     */
+    addLine(launch, stream, text) {
+        const line = {
+            seq: ++launch.outputSeq,
+            stream,
+            text,
+            at: new Date().toISOString()
+        };
+
+        launch.output.push(line);
+        if (launch.output.length > this.options.maxOutputLines) {
+            launch.output.shift();
+        }
+        this.emit('output', launch, line);
+    }
+
+    /**
+     * Stores output that did not end with a newline
+     * @param {Object} launch - Launch record
+     * @private
+     */
+    flushPartialLines(launch) {
+        ['stdout', 'stderr'].forEach(stream => {
+            // end() also resets the decoder for the next phase's process
+            const text = launch.partialLines[stream] + launch.decoders[stream].end();
+            if (text) {
+                this.addLine(launch, stream, text);
+            }
+            launch.partialLines[stream] = '';
+        });
+    }
+
+    /**
+     * Records the end of a launch
+     * @param {Object} launch - Launch record
+     * @param {number|null} code - Exit code
+     * @param {string|null} signal - Terminating signal
+     * @private
+     */
+    handleExit(launch, code, signal) {
+        this.flushPartialLines(launch);
+
+        launch.timers.forEach(timer => clearTimeout(timer));
+        launch.timers = [];
+
+        launch.exitCode = code;
+        launch.signal = signal;
+        launch.exitedAt = new Date().toISOString();
+
+        if (signal === 'SIGXCPU' && !launch.killReason) {
+            launch.killReason = KILL_REASON.MAX_CPU;
+            launch.error = `Exceeded the CPU time limit of ${launch.limits.maxCpu || '?'}s`;
+        }
+
+        if (launch.killReason) {
+            launch.status = STATUS.FAILED;
+        } else if (launch.status === STATUS.STOPPING) {
+            launch.status = STATUS.STOPPED;
+        } else {
+            launch.status = code === 0 ? STATUS.EXITED : STATUS.FAILED;
+        }
+        launch.child = null;
+        launch.onBuilt = null;
+
+        const level = launch.status === STATUS.FAILED ? 'warn' : 'info';
+        const reason = launch.killReason ? ` (killed: ${launch.killReason})` : '';
+        logger(level, `${launch.key} (launch ${launch.id}) ${launch.status} with code ${code}${signal ? `, signal ${signal}` : ''}${reason}`);
+
+        this.emit('exit', launch);
+        this.pruneFinished();
+    }
+
+    /**
+     * Drops the oldest finished launches beyond maxFinished
+     * @private
+     */
+    pruneFinished() {
+        const finished = Array.from(this.launches.values()).filter(launch => !launch.child);
+        finished.slice(0, Math.max(0, finished.length - this.options.maxFinished))
+            .forEach(launch => this.launches.delete(launch.id));
+    }
+
+    /**
+     * Gets a launch by id
+     * @param {string} id - Launch id
+     * @returns {Object} Launch record
+     * @throws {NotFoundError} If the launch is unknown
+     */
+    get(id) {
+        const launch = this.launches.get(id);
+        if (!launch) {
+            throw new NotFoundError('Launch not found');
+        }
+        return launch;
+    }
+
+    /**
+     * Lists launches, newest first
+     * @param {Object} [filter] - Optional filter
+     * @param {string} [filter.key] - Project key
+     * @param {string} [filter.status] - Launch status
+     * @returns {Array<Object>} Launch records
+     */
+    list({ key, status } = {}) {
+        return Array.from(this.launches.values())
+            .filter(launch => (!key || launch.key === key) && (!status || launch.status === status))
+            .reverse();
+    }
+
+    /**
+     * Sends a signal to the launch's whole process group
+     * @param {Object} launch - Launch record
+     * @param {string} signal - Signal name
+     * @private
+     */
+    signalGroup(launch, signal) {
+        try {
+            process.kill(-launch.pid, signal);
+        } catch (error) {
+            // The group may already be gone; fall back to the direct child
+            if (launch.child) launch.child.kill(signal);
+        }
+    }
+
+    /**
+     * Stops a running launch with SIGTERM, then SIGKILL after the grace period
+     * @param {string} id - Launch id
+     * @returns {Promise<Object>} The launch record after the process exited
+     * @throws {NotFoundError} If the launch is unknown
+     * @throws {ConflictError} If the launch is not running
+     */
+    stop(id) {
+        const launch = this.get(id);
+        if (!launch.child) {
+            throw new ConflictError(`Launch ${id} is not running (status: ${launch.status})`);
+        }
+
+        return new Promise(resolve => {
+            const onExit = exited => {
+                if (exited.id !== launch.id) return;
+                clearTimeout(killTimer);
+                this.removeListener('exit', onExit);
+                resolve(launch);
+            };
+            this.on('exit', onExit);
+
+            const killTimer = setTimeout(() => {
+                logger('warn', `${launch.key} (launch ${id}) did not stop within ${this.options.stopTimeout}ms, sending SIGKILL`);
+                this.signalGroup(launch, 'SIGKILL');
+            }, this.options.stopTimeout);
+
+            launch.status = STATUS.STOPPING;
+            this.signalGroup(launch, 'SIGTERM');
+        });
+    }
+
+    /**
+     * Kills every running process group (used on server shutdown)
+     */
+    stopAll() {
+        this.launches.forEach(launch => {
+            if (launch.child) this.signalGroup(launch, 'SIGTERM');
+        });
+    }
+
+    /**
+     * Serializes a launch for API responses
+     * @param {Object} launch - Launch record
+     * @param {Object} [options] - Serialization options
+     * @param {boolean} [options.includeOutput=false] - Whether to include buffered output lines
+     * @returns {Object} Plain launch object
+     */
+    toJSON(launch, { includeOutput = false } = {}) {
+        const { child, partialLines, decoders, outputSeq, output, timers, spawnOptions, onBuilt, ...summary } = launch;
+        const endTime = launch.exitedAt ? Date.parse(launch.exitedAt) : Date.now();
+
+        return {
+            ...summary,
+            durationMs: endTime - Date.parse(launch.startedAt),
+            ...(includeOutput ? { output } : {})
+        };
+    }
+}
+
+// Shared manager for the server
+const processManager = new ProcessManager();
+
+// Launched apps run in their own process groups, so stop them with the server
+process.on('exit', () => processManager.stopAll());
+
+module.exports = {
+    ProcessManager,
+    processManager,
+    STATUS,
+    PHASE,
+    KILL_REASON
+};
@@ -0,0 +1,66 @@
+/**
+ * Project Service
+ * Serves project data to the API from the same module the browser uses
+ * (js/modules/data/projectData.js), so both sides share one source of truth.
+ */
+const { loadSharedModule } = require('../utils/sharedModules');
+const { NotFoundError, ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Loads the shared project data module
+ * @returns {Promise<Object>} projectData module namespace
+ */
+const loadProjectModule = () => loadSharedModule('data/projectData.js');
+
+/**
+ * Adds the category name to a project so flat lists keep their grouping
+ * @param {Object} project - Project data
+ * @param {string} category - Category name
+ * @returns {Object} Project with category
+ */
+const withCategory = (project, category) => ({ ...project, category });
+
+/**
+ * Lists projects, optionally filtered by category
+ * @param {Object} [options] - Query options
+ * @param {string} [options.category] - Category name (codegymProjects, commercialProjects, teamProjects)
+ * @returns {Promise<Array>} Projects with their category
+ * @throws {ValidationError} If the category does not exist
+ */
+async function listProjects({ category } = {}) {
+    const { projectData } = await loadProjectModule();
+    const categories = Object.keys(projectData);
+
+    if (category && !categories.includes(category)) {
+        throw new ValidationError(`Unknown project category. Expected one of: ${categories.join(', ')}`);
+    }
+
+    return (category ? [category] : categories).flatMap(name =>
+        projectData[name].map(project => withCategory(project, name))
+    );
+}
+
+/**
+ * Gets a single project with its detailed configuration
+ * @param {string} key - Project key
+ * @returns {Promise<Object>} Project data and overview configuration
+ * @throws {NotFoundError} If no project has the given key
+ */
+async function getProject(key) {
+    const { getProjectConfig } = await loadProjectModule();
+    const project = (await listProjects()).find(candidate => candidate.key === key);
+
+    if (!project) {
+        throw new NotFoundError('Project not found');
+    }
+
+    return {
+        project,
+        config: getProjectConfig(key)
+    };
+}
+
+module.exports = {
+    listProjects,
+    getProject
+};
@@ -0,0 +1,181 @@
+/**
+ * Launch Sandbox
+ * Restricts what launched applications can do:
+ * - resource limits applied by the kernel through prlimit, or ulimit when prlimit is missing:
+ *   CPU time (SIGXCPU at maxCpu, SIGKILL a few seconds later) and an address-space
+ *   ceiling of maxMemory * addressSpaceFactor as a backstop for the memory watchdog
+ * - an environment built from an allowlist instead of the server's full environment
+ * - a working-directory jail: launcher directories must be inside config.launches.sandbox.allowedRoots
+ *   and commands inside the launcher directory must not escape it
+ *
+ * Wall-clock runtime, group memory and output size are enforced by the process manager.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { findExecutable } = require('../utils/executables');
+const { FileError } = require('../utils/errorHandler');
+
+// Linux page size used to convert the RSS field of /proc/<pid>/stat
+const PAGE_SIZE = 4096;
+
+/**
+ * Merges a launcher's limits over the configured defaults
+ * @param {Object} launcher - Launcher entry
+ * @returns {Object} { maxRuntime, maxMemory, maxCpu, maxOutputBytes }
+ */
+function resolveLimits(launcher) {
+    return { ...config.launches.limits, ...(launcher.limits || {}) };
+}
+
+/**
+ * Builds the environment for a launched app
+ * Only allowlisted server variables are passed on; the launcher's own env always applies
+ * @param {Object} launcher - Launcher entry
+ * @returns {Object} Environment variables
+ */
+function createEnv(launcher) {
+    const allowlist = [...config.launches.sandbox.envAllowlist, ...(launcher.envAllowlist || [])];
+    const env = {};
+
+    allowlist.forEach(name => {
+        if (process.env[name] !== undefined) env[name] = process.env[name];
+    });
+
+    return { ...env, ...(launcher.env || {}) };
+}
+
+/**
+ * Resolves symlinks so a path cannot leave the jail through a link
+ * @param {string} target - Path to resolve
+ * @returns {string} Real path, or the resolved path when it does not exist yet
+ */
+function realPath(target) {
+    try {
+        return fs.realpathSync(target);
+    } catch (error) {
+        return path.resolve(target);
+    }
+}
+
+/**
+ * Checks whether a path is inside a directory
+ * @param {string} target - Path to check
+ * @param {string} dir - Directory
+ * @returns {boolean} Whether target is dir or below it
+ */
+function isInside(target, dir) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Finds jail violations of a launcher
+ * @param {Object} launcher - Launcher entry
+ * @returns {Array<string>} Problems, empty when the launcher stays inside its jail
+ */
+function checkJail(launcher) {
+    const problems = [];
+    const cwd = realPath(launcher.cwd);
+    const roots = config.launches.sandbox.allowedRoots.map(realPath);
+
+    if (!roots.some(root => isInside(cwd, root))) {
+        problems.push(`${launcher.name} directory is outside the allowed launch directories`);
+    }
+
+    const projectPaths = [launcher.command, launcher.build && launcher.build.artifact]
+        .filter(candidate => candidate && candidate.includes('/'));
+    projectPaths.forEach(candidate => {
+        if (!isInside(realPath(path.resolve(launcher.cwd, candidate)), cwd)) {
+            problems.push(`${candidate} is outside the ${launcher.name} directory`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Throws if a launcher leaves its jail
+ * @param {Object} launcher - Launcher entry
+ * @throws {FileError} If the launcher directory or a command is outside the allowed paths
+ */
+function assertInJail(launcher) {
+    const problems = checkJail(launcher);
+    if (problems.length > 0) {
+        throw new FileError(problems.join('; '), 'LAUNCHER_PATH_NOT_ALLOWED');
+    }
+}
+
+/**
+ * Wraps a command so the kernel enforces the memory and CPU limits
+ * Uses prlimit when installed, otherwise ulimit in /bin/sh
+ * Resident memory is policed by the process manager, which can record why it killed a launch;
+ * the address-space limit is set higher because virtual memory always exceeds resident memory
+ * @param {string} command - Command to run
+ * @param {Array<string>} args - Arguments
+ * @param {Object} limits - Resolved limits
+ * @returns {Object} { command, args } of the wrapped process
+ */
+function wrapWithLimits(command, args, limits) {
+    const { addressSpaceFactor, cpuKillGrace } = config.launches.sandbox;
+    const addressSpace = Math.floor(limits.maxMemory * addressSpaceFactor);
+    const cpuSoft = Math.ceil(limits.maxCpu);
+    const cpuHard = cpuSoft + cpuKillGrace;
+
+    if (findExecutable('prlimit')) {
+        return {
+            command: 'prlimit',
+            args: [`--as=${addressSpace}`, `--cpu=${cpuSoft}:${cpuHard}`, '--', command, ...args]
+        };
+    }
+
+    // "$0" "$@" keeps the original arguments unquoted and intact
+    return {
+        command: '/bin/sh',
+        args: [
+            '-c',
+            `ulimit -v ${Math.floor(addressSpace / 1024)} && ulimit -H -t ${cpuHard} && ulimit -S -t ${cpuSoft} && exec "$0" "$@"`,
+            command,
+            ...args
+        ]
+    };
+}
+
+/**
+ * Sums the resident memory of every process in a process group (Linux only)
+ * @param {number} pgid - Process group id
+ * @returns {Promise<number|null>} Resident bytes, or null when /proc is unavailable
+ */
+async function readGroupMemory(pgid) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir('/proc');
+    } catch (error) {
+        return null;
+    }
+
+    let total = 0;
+    await Promise.all(entries.filter(entry => /^\d+$/.test(entry)).map(async pid => {
+        try {
+            const stat = await fs.promises.readFile(`/proc/${pid}/stat`, 'utf8');
+            // Fields after the command name: state ppid pgrp ... rss is field 24
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            if (Number(fields[2]) === pgid) {
+                total += Number(fields[21]) * PAGE_SIZE;
+            }
+        } catch (error) {
+            // The process exited while we were reading
+        }
+    }));
+
+    return total;
+}
+
+module.exports = {
+    resolveLimits,
+    createEnv,
+    checkJail,
+    assertInJail,
+    wrapWithLimits,
+    readGroupMemory
+};
@@ -0,0 +1,446 @@
+/**
+ * Static File Service
+ * Serves the files of the portfolio with conditional requests, compression and caching.
+ *
+ * Only the entries of static.allow below paths.public are served. Request paths are
+ * percent-decoded and resolved segment by segment; paths that leave the root (also through
+ * symlinks) are rejected, and dotfiles and the names and extensions in static.denyNames /
+ * static.denyExtensions are answered as not found. Directories serve their index file,
+ * after a redirect that adds the trailing slash relative links need.
+ *
+ * Files up to cache.maxFileSize are read into memory and, when caching is enabled, kept in
+ * an LRU cache limited to cache.maxBytes together with their compressed variants. Larger
+ * files are streamed from disk (and compressed on the fly) on every request; only the
+ * content hash of their ETag is remembered, per size and modification time. Cached files
+ * are dropped when the file watcher reports a change, and in development HTML pages get
+ * the live reload script. HTML pages carry the CSP nonce of the request (see
+ * server/utils/securityHeaders.js) and are therefore built for every response.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { LruCache } = require('../utils/lruCache');
+const { fileWatcher } = require('./fileWatcher');
+const { injectLiveReload } = require('./liveReloadService');
+const { addCspNonce } = require('../utils/securityHeaders');
+const { NotFoundError, FileError, ForbiddenError, ValidationError } = require('../utils/errorHandler');
+const { createFileEtag, isNotModified } = require('../utils/response');
+const { isCompressible, negotiateEncoding, getPrecompressedExtension, compress, createCompressStream } = require('../utils/compression');
+
+// Contents of small files, weighed in bytes
+const fileCache = new LruCache({ maxSize: config.cache.maxBytes, ttl: config.cache.ttl });
+
+// Content hashes of streamed files, keyed by path, size and modification time
+const digestCache = new LruCache({ maxSize: config.cache.maxDigests });
+
+// Responses sent from disk because the file is larger than cache.maxFileSize
+let streamedResponses = 0;
+
+const publicRoot = path.resolve(config.paths.public);
+
+// Root with symlinks resolved, for checking where files really are
+let realRoot = null;
+
+// Edited files are read again on the next request; a changed .br/.gz sibling drops its source as well
+fileWatcher.on('change', ({ path: filePath }) => {
+    const source = filePath.replace(/\.(br|gz)$/, '');
+    if (fileCache.delete(source)) {
+        logger('debug', `Dropped cached file: ${source}`);
+    }
+});
+
+/**
+ * Hashes file content for the ETag
+ * @param {Buffer} content - File content
+ * @returns {string} Base64 SHA-1 digest without padding
+ */
+const digest = (content) => crypto.createHash('sha1').update(content).digest('base64').replace(/=+$/, '');
+
+/**
+ * Hashes a file without reading it into memory
+ * @param {string} filePath - Path of the file
+ * @param {fs.Stats} stats - File stats
+ * @returns {Promise<string>} Base64 SHA-1 digest without padding
+ */
+async function digestFile(filePath, stats) {
+    const key = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+    const cached = digestCache.get(key);
+    if (cached) return cached;
+
+    const hash = crypto.createHash('sha1');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    const result = hash.digest('base64').replace(/=+$/, '');
+    digestCache.set(key, result);
+    return result;
+}
+
+/**
+ * Gets the size of a cached file with its compressed variants
+ * @param {Object} file - File record
+ * @returns {number} Bytes
+ */
+const cachedBytes = (file) => Object.values(file.encoded).reduce((total, buffer) => total + buffer.length, file.content.length);
+
+/**
+ * Gets the Cache-Control policy for a content type from config.cache.control
+ * @param {string} contentType - Content type of the file
+ * @returns {string} Cache-Control header value
+ */
+function getCacheControl(contentType) {
+    const policies = config.cache.control;
+    const [type] = contentType.split('/');
+    return policies[contentType] || policies[`${type}/*`] || policies.default;
+}
+
+/**
+ * Finds a precompressed sibling on disk (styles.css.br, styles.css.gz)
+ * @param {string} filePath - Path of the file
+ * @param {Object} file - File record: mtimeMs
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<Object|null>} { path, size }, or null when missing or older than the file
+ */
+async function findPrecompressed(filePath, file, encoding) {
+    const siblingPath = filePath + getPrecompressedExtension(encoding);
+    const sibling = await fs.promises.stat(siblingPath).catch(() => null);
+
+    if (!sibling || !sibling.isFile() || sibling.mtimeMs < file.mtimeMs) {
+        return null;
+    }
+    logger('debug', `Using precompressed file: ${siblingPath}`);
+    return { path: siblingPath, size: sibling.size };
+}
+
+/**
+ * Gets the content of a file in a content coding
+ * Prefers a precompressed sibling, otherwise compresses with zlib. The result is kept with
+ * the file, so cached files are compressed once per coding.
+ * @param {string} filePath - Path of the file
+ * @param {Object} file - File record: content, mtimeMs, encoded
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<Buffer>} Encoded content
+ */
+async function getEncodedContent(filePath, file, encoding) {
+    if (!file.encoded[encoding]) {
+        const sibling = await findPrecompressed(filePath, file, encoding);
+        file.encoded[encoding] = sibling
+            ? await fs.promises.readFile(sibling.path)
+            : await compress(file.content, encoding);
+
+        // The variant counts against the byte budget of the cached file
+        if (file.cached) {
+            file.cached = fileCache.set(filePath, file, cachedBytes(file));
+        }
+    }
+    return file.encoded[encoding];
+}
+
+/**
+ * Loads a file record, from the cache when possible
+ * @param {string} filePath - Path of the file
+ * @param {fs.Stats} stats - File stats
+ * @param {string} contentType - Content type of the file
+ * @returns {Promise<Object>} { content, mtimeMs, lastModified, etag, encoded, cached };
+ *   content is null for files that are streamed
+ */
+async function loadFile(filePath, stats, contentType) {
+    const cacheable = config.cache.enabled && stats.size <= config.cache.maxFileSize;
+    if (cacheable) {
+        const cached = fileCache.get(filePath);
+        if (cached) return cached;
+    }
+
+    const file = {
+        content: null,
+        mtimeMs: stats.mtimeMs,
+        lastModified: stats.mtime.toUTCString(),
+        etag: null,
+        encoded: {},
+        cached: false
+    };
+
+    if (stats.size > config.cache.maxFileSize) {
+        file.etag = createFileEtag(stats, await digestFile(filePath, stats));
+        return file;
+    }
+
+    file.content = await fs.promises.readFile(filePath);
+    if (contentType === 'text/html' && config.watch.enabled && config.watch.liveReload) {
+        file.content = injectLiveReload(file.content);
+    }
+    file.etag = createFileEtag(stats, digest(file.content));
+    if (cacheable) {
+        file.cached = fileCache.set(filePath, file, file.content.length);
+    }
+    return file;
+}
+
+/**
+ * Streams a large file, compressing it on the fly unless a precompressed sibling exists
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} filePath - Path of the file
+ * @param {Object} file - File record
+ * @param {Object} headers - Response headers
+ * @param {string|null} encoding - Content coding, or null
+ * @param {number} size - File size in bytes
+ */
+async function streamFile(res, filePath, file, headers, encoding, size) {
+    const sibling = encoding ? await findPrecompressed(filePath, file, encoding) : null;
+    const streams = [fs.createReadStream(sibling ? sibling.path : filePath)];
+
+    if (sibling) {
+        headers['Content-Length'] = sibling.size;
+    } else if (encoding) {
+        streams.push(createCompressStream(encoding, size));
+    } else {
+        headers['Content-Length'] = size;
+    }
+
+    streamedResponses++;
+    res.writeHead(200, headers);
+    pipeline(...streams, res, error => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger('error', `Error streaming ${filePath}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Sends an HTML page with the CSP nonce of the request on its script and style tags
+ * The page differs with every response, so it is neither cached by the browser nor
+ * answered with 304 (a cached page would carry an outdated nonce), and it is compressed
+ * for each response
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Object} file - File record with content
+ * @param {string} nonce - Nonce of the request
+ * @param {string|null} encoding - Content coding, or null
+ * @param {boolean} varies - Whether the response varies with Accept-Encoding
+ */
+async function sendPageWithNonce(res, file, nonce, encoding, varies) {
+    const page = addCspNonce(file.content, nonce);
+    const body = encoding ? await compress(page, encoding) : page;
+
+    const headers = {
+        'Content-Type': 'text/html',
+        'Content-Length': body.length,
+        'Cache-Control': 'no-store',
+        'Last-Modified': file.lastModified
+    };
+    if (encoding) headers['Content-Encoding'] = encoding;
+    if (varies) headers['Vary'] = 'Accept-Encoding';
+
+    res.writeHead(200, headers);
+    res.end(body);
+}
+
+/**
+ * Checks whether a path is inside a directory
+ * @param {string} filePath - Absolute path
+ * @param {string} root - Absolute directory
+ * @returns {boolean} Whether filePath is root or below it
+ */
+const isInside = (filePath, root) => filePath === root || filePath.startsWith(root + path.sep);
+
+/**
+ * Checks the decoded segments of a request path against the allow and deny lists
+ * @param {Array<string>} segments - Path segments below the root
+ * @returns {boolean} Whether the path may be served
+ */
+function isPublic(segments) {
+    const { allow, denyNames, denyExtensions } = config.static;
+    if (segments.length === 0) return true;
+
+    return allow.includes(segments[0]) &&
+        segments.every(segment => !segment.startsWith('.') && !denyNames.includes(segment)) &&
+        !denyExtensions.includes(path.extname(segments[segments.length - 1]).toLowerCase());
+}
+
+/**
+ * Resolves a request path to a path below the public root
+ * @param {string} pathname - Request path, still percent-encoded
+ * @returns {string} Absolute path
+ * @throws {ValidationError} If the path cannot be decoded or contains NUL bytes or backslashes
+ * @throws {ForbiddenError} If the path leaves the root
+ * @throws {NotFoundError} If the path is not public
+ */
+function resolveStaticPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        throw new ValidationError('Malformed URL path');
+    }
+    if (decoded.includes('\0') || decoded.includes('\\')) {
+        throw new ValidationError('Malformed URL path');
+    }
+
+    const segments = decoded.split('/').filter(segment => segment !== '' && segment !== '.');
+    const filePath = path.resolve(publicRoot, ...segments);
+    if (segments.includes('..') || !isInside(filePath, publicRoot)) {
+        logger('warn', `Rejected path outside the public root: ${pathname}`);
+        throw new ForbiddenError('Access denied');
+    }
+
+    if (!isPublic(segments)) {
+        logger('warn', `Rejected non-public path: ${pathname}`);
+        throw new NotFoundError('Resource not found');
+    }
+    return filePath;
+}
+
+/**
+ * Gets the content type of a file from its extension
+ * @param {string} filePath - Path of the file
+ * @returns {string} Content type
+ */
+const getContentType = (filePath) => config.MIME_TYPES[path.extname(filePath).toLowerCase()] || config.defaultContentType;
+
+/**
+ * Serves a static file with caching
+ * Answers conditional requests (If-None-Match, If-Modified-Since) with 304 Not Modified
+ * and compresses text files with brotli or gzip when the client accepts it
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {string} filePath - Path to the file to serve
+ * @param {string} contentType - Content type of the file
+ * @throws {NotFoundError} If the file is not found
+ * @throws {FileError} If there is an error reading the file
+ */
+async function serveStaticFile(req, res, filePath, contentType) {
+    try {
+        // Check if file exists
+        const stats = await fs.promises.stat(filePath).catch(error => {
+            if (error.code === 'ENOENT') {
+                logger('warn', `File not found: ${filePath}`);
+                throw new NotFoundError('Resource not found');
+            }
+            throw new FileError(`Error accessing file: ${filePath}`, error.code);
+        });
+
+        const file = await loadFile(filePath, stats, contentType);
+
+        // Small files are not worth compressing; the response varies with Accept-Encoding otherwise
+        const varies = config.compression.enabled && isCompressible(contentType) &&
+            stats.size >= config.compression.threshold;
+        const encoding = varies ? negotiateEncoding(req.headers['accept-encoding']) : null;
+
+        if (req.cspNonce && contentType === 'text/html' && file.content) {
+            logger('info', `Serving page: ${filePath} (${contentType}${encoding ? `, ${encoding}` : ''}, nonce)`);
+            await sendPageWithNonce(res, file, req.cspNonce, encoding, varies);
+            return;
+        }
+
+        const headers = {
+            'Cache-Control': getCacheControl(contentType),
+            // Each coding is a different representation and needs its own strong ETag
+            'ETag': encoding ? `${file.etag.slice(0, -1)}-${encoding}"` : file.etag,
+            'Last-Modified': file.lastModified
+        };
+        if (varies) headers['Vary'] = 'Accept-Encoding';
+
+        // The browser's copy is still current
+        if (isNotModified(req, { etag: headers['ETag'], lastModified: file.lastModified })) {
+            logger('debug', `Not modified: ${filePath}`);
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        logger('info', `Serving file: ${filePath} (${contentType}${encoding ? `, ${encoding}` : ''}${file.content ? '' : ', streamed'})`);
+        headers['Content-Type'] = contentType;
+        if (encoding) headers['Content-Encoding'] = encoding;
+
+        if (!file.content) {
+            await streamFile(res, filePath, file, headers, encoding, stats.size);
+            return;
+        }
+
+        const body = encoding ? await getEncodedContent(filePath, file, encoding) : file.content;
+        headers['Content-Length'] = body.length;
+        res.writeHead(200, headers);
+        res.end(body);
+    } catch (error) {
+        // Handle specific error types
+        if (error instanceof NotFoundError || error instanceof FileError) {
+            throw error; // Rethrow custom errors to be handled by handleHttpError
+        }
+
+        // Convert unknown errors to FileError with context
+        logger('error', `Error serving file ${filePath}: ${error.message}`);
+        throw new FileError(`Error serving file: ${filePath}`, 'FILE_SERVE_ERROR');
+    }
+}
+
+/**
+ * Serves the static file for a request path
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @param {string} pathname - Request path, still percent-encoded
+ * @throws {ValidationError} If the path is malformed
+ * @throws {ForbiddenError} If the path leaves the public root
+ * @throws {NotFoundError} If the path is not public or does not exist
+ * @throws {FileError} If there is an error reading the file
+ */
+async function serveStaticRequest(req, res, pathname) {
+    const filePath = resolveStaticPath(pathname);
+
+    // Symlinks must not lead out of the root either
+    let realPath;
+    try {
+        realRoot = realRoot || await fs.promises.realpath(publicRoot);
+        realPath = await fs.promises.realpath(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            throw new NotFoundError('Resource not found');
+        }
+        throw new FileError(`Error accessing file: ${filePath}`, error.code);
+    }
+    if (!isInside(realPath, realRoot)) {
+        logger('warn', `Rejected symlink outside the public root: ${pathname}`);
+        throw new ForbiddenError('Access denied');
+    }
+
+    const stats = await fs.promises.stat(realPath);
+    if (!stats.isDirectory()) {
+        await serveStaticFile(req, res, realPath, getContentType(realPath));
+        return;
+    }
+
+    // Relative links in the directory's index file need the trailing slash.
+    // Leading slashes are collapsed so the redirect cannot point to another host (//host/)
+    if (!pathname.endsWith('/')) {
+        const query = req.url.indexOf('?');
+        const location = `${pathname.replace(/^\/+/, '/')}/${query === -1 ? '' : req.url.slice(query)}`;
+        res.writeHead(301, { 'Location': location, 'Content-Type': 'text/plain' });
+        res.end(`Moved to ${location}`);
+        return;
+    }
+
+    const indexPath = path.join(realPath, config.static.indexFile);
+    await serveStaticFile(req, res, indexPath, getContentType(indexPath));
+}
+
+/**
+ * Reports the static file cache usage
+ * @returns {Object} { enabled, maxFileSize, files: { entries, size, maxSize, hits, misses, evictions, hitRate },
+ *   digests: {...}, streamedResponses }
+ */
+function getCacheStats() {
+    return {
+        enabled: config.cache.enabled,
+        maxFileSize: config.cache.maxFileSize,
+        files: fileCache.getStats(),
+        digests: digestCache.getStats(),
+        streamedResponses
+    };
+}
+
+module.exports = {
+    serveStaticRequest,
+    serveStaticFile,
+    getCacheStats
+};
@@ -0,0 +1,65 @@
+/**
+ * Authentication helpers for token-protected API routes
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { UnauthorizedError } = require('./errorHandler');
+
+/**
+ * Compares two strings in constant time
+ * Both values are hashed first so their lengths do not leak either
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+const safeEqual = (a, b) => {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+/**
+ * Extracts the bearer token from the Authorization header
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {string|null} Token or null when missing
+ */
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+};
+
+/**
+ * Ensures the request carries the admin token
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @throws {UnauthorizedError} If the admin API is disabled or the token is missing or wrong
+ */
+const requireAdmin = (req) => {
+    if (!config.admin.token) {
+        throw new UnauthorizedError('Admin API is disabled. Set ADMIN_TOKEN to enable it');
+    }
+
+    const token = getBearerToken(req);
+    if (!token || !safeEqual(token, config.admin.token)) {
+        throw new UnauthorizedError('Invalid or missing admin token');
+    }
+};
+
+/**
+ * Checks whether the request carries the admin token, without rejecting it
+ * Used by public endpoints that show more to the admin
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {boolean} Whether the admin token is present and valid
+ */
+const isAdmin = (req) => {
+    try {
+        requireAdmin(req);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    requireAdmin,
+    isAdmin,
+    getBearerToken
+};
@@ -0,0 +1,108 @@
+/**
+ * Compression helpers for static files
+ * Negotiates gzip or brotli through Accept-Encoding and compresses with zlib.
+ * Which types are compressed and from what size is set in config.compression.
+ */
+const zlib = require('zlib');
+const { promisify } = require('util');
+const config = require('../config');
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+// Supported content codings in order of preference, with the extension of precompressed files
+const ENCODINGS = {
+    br: { extension: '.br' },
+    gzip: { extension: '.gz' }
+};
+
+/**
+ * Checks whether a content type is worth compressing
+ * Images other than SVG, fonts and archives are already compressed
+ * @param {string} contentType - Content type, without parameters
+ * @returns {boolean} Whether the type is listed in config.compression.types
+ */
+function isCompressible(contentType) {
+    return config.compression.types.some(type => type === contentType ||
+        (type.endsWith('/*') && contentType.startsWith(type.slice(0, -1))));
+}
+
+/**
+ * Picks the content coding for a response
+ * @param {string} [acceptEncoding] - Accept-Encoding request header
+ * @returns {string|null} 'br', 'gzip', or null to send the content as it is
+ */
+function negotiateEncoding(acceptEncoding = '') {
+    const accepted = new Map();
+    acceptEncoding.split(',').forEach(entry => {
+        const [coding, ...params] = entry.trim().toLowerCase().split(';').map(part => part.trim());
+        const quality = params.map(param => /^q=([0-9.]+)$/.exec(param)).find(Boolean);
+        if (coding) accepted.set(coding, quality ? Number(quality[1]) : 1);
+    });
+
+    const qualityOf = (coding) => {
+        if (accepted.has(coding)) return accepted.get(coding);
+        // x-gzip is an alias of gzip (RFC 9110 8.4.1.3)
+        if (coding === 'gzip' && accepted.has('x-gzip')) return accepted.get('x-gzip');
+        return accepted.has('*') ? accepted.get('*') : 0;
+    };
+
+    // Highest quality wins; ties go to the preferred coding
+    const [best] = Object.keys(ENCODINGS)
+        .map(coding => ({ coding, quality: qualityOf(coding) }))
+        .filter(({ quality }) => quality > 0)
+        .sort((a, b) => b.quality - a.quality);
+    return best ? best.coding : null;
+}
+
+/**
+ * Gets the file extension of precompressed siblings for a coding
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {string} '.br' or '.gz'
+ */
+const getPrecompressedExtension = (encoding) => ENCODINGS[encoding].extension;
+
+/**
+ * Gets the zlib options for a coding
+ * @param {string} encoding - 'br' or 'gzip'
+ * @param {number} [size] - Size of the content, when known
+ * @returns {Object} zlib options
+ */
+function getZlibOptions(encoding, size) {
+    if (encoding === 'br') {
+        const params = { [zlib.constants.BROTLI_PARAM_QUALITY]: config.compression.brotliQuality };
+        if (size !== undefined) params[zlib.constants.BROTLI_PARAM_SIZE_HINT] = size;
+        return { params };
+    }
+    return { level: config.compression.gzipLevel };
+}
+
+/**
+ * Compresses content
+ * @param {Buffer} content - Content to compress
+ * @param {string} encoding - 'br' or 'gzip'
+ * @returns {Promise<Buffer>} Compressed content
+ */
+function compress(content, encoding) {
+    const options = getZlibOptions(encoding, content.length);
+    return encoding === 'br' ? brotliCompress(content, options) : gzip(content, options);
+}
+
+/**
+ * Creates a stream that compresses what is piped through it
+ * @param {string} encoding - 'br' or 'gzip'
+ * @param {number} [size] - Size of the content, when known
+ * @returns {stream.Transform} Compression stream
+ */
+function createCompressStream(encoding, size) {
+    const options = getZlibOptions(encoding, size);
+    return encoding === 'br' ? zlib.createBrotliCompress(options) : zlib.createGzip(options);
+}
+
+module.exports = {
+    isCompressible,
+    negotiateEncoding,
+    getPrecompressedExtension,
+    compress,
+    createCompressStream
+};
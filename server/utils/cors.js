@@ -0,0 +1,105 @@
+/**
+ * CORS
+ * Middleware that answers cross-origin API requests according to config.cors.
+ *
+ * Only origins in cors.origins get Access-Control-Allow-Origin; '*' allows every origin,
+ * but never with credentials. Same-origin requests need no CORS headers and always pass.
+ * Responses carry Vary: Origin, as their headers depend on the Origin of the request.
+ *
+ * Preflight requests are answered from the registered routes (see Router.matchOptions):
+ * the methods of every route for the path, and the headers of the route for the requested
+ * method, which are cors.allowedHeaders plus the route's own cors.headers.
+ *
+ * Routes that must not be triggered from other sites use requireAllowedOrigin as route
+ * middleware: it answers origins that are not allowed with 403, instead of only leaving
+ * out the CORS headers. Simple cross-origin POST requests are not preflighted and would
+ * reach the handler otherwise, even though the page could not read the response.
+ */
+const config = require('../config');
+const { logger } = require('./logger');
+const { ForbiddenError } = require('./errorHandler');
+
+/**
+ * Checks whether the Origin header names the server itself
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {string} origin - Origin header
+ * @returns {boolean} Whether the request is same-origin
+ */
+const isSameOrigin = (req, origin) => {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        // 'null' from sandboxed frames and local files
+        return false;
+    }
+};
+
+/**
+ * Checks an origin against cors.origins
+ * @param {string} origin - Origin header
+ * @returns {boolean} Whether the origin may call the API
+ */
+const isAllowedOrigin = (origin) => config.cors.origins.some(allowed => allowed === '*' || allowed.replace(/\/$/, '') === origin);
+
+/**
+ * Middleware that sets the CORS headers of a routed request
+ * Expects req.route from the router; OPTIONS routes carry the routes per method in route.routes
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+async function cors(req, res, next) {
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+
+    if (!origin || isSameOrigin(req, origin)) {
+        await next();
+        return;
+    }
+    if (!isAllowedOrigin(origin)) {
+        logger('debug', `No CORS headers for origin ${origin}`);
+        await next();
+        return;
+    }
+
+    const requestedMethod = req.headers['access-control-request-method'];
+    const isPreflight = req.method === 'OPTIONS' && Boolean(requestedMethod);
+    const target = isPreflight ? req.route.routes[requestedMethod.toUpperCase()] : req.route;
+
+    const wildcard = !config.cors.credentials && config.cors.origins.includes('*');
+    res.setHeader('Access-Control-Allow-Origin', wildcard ? '*' : origin);
+    if (config.cors.credentials) {
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+    }
+
+    // Without a route for the requested method the preflight fails in the browser
+    if (isPreflight && target) {
+        const headers = new Set([...config.cors.allowedHeaders, ...(target.cors.headers || [])]);
+        res.setHeader('Access-Control-Allow-Methods', Object.keys(req.route.routes).join(', '));
+        res.setHeader('Access-Control-Allow-Headers', [...headers].join(', '));
+        res.setHeader('Access-Control-Max-Age', String(config.cors.maxAge));
+    }
+    await next();
+}
+
+/**
+ * Route middleware that rejects requests from origins that are not allowed
+ * Requests without Origin (not sent by a browser page) and same-origin requests pass
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ * @throws {ForbiddenError} If the origin is not allowed
+ */
+async function requireAllowedOrigin(req, res, next) {
+    const origin = req.headers.origin;
+    if (origin && !isSameOrigin(req, origin) && !isAllowedOrigin(origin)) {
+        logger('warn', `Rejected ${req.method} ${req.url} from origin ${origin}`);
+        throw new ForbiddenError(`Origin not allowed: ${origin}`);
+    }
+    await next();
+}
+
+module.exports = {
+    cors,
+    requireAllowedOrigin
+};
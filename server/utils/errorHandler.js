@@ -19,6 +19,8 @@
  * @module server/utils/errorHandler
  */
 
+const { escapeHtml } = require('./html');
+
 // Configuration for error handling
 const errorConfig = {
     // Whether to log detailed errors
@@ -30,6 +32,9 @@ const errorConfig = {
         401: 'Unauthorized',
         403: 'Forbidden',
         404: 'Not found',
+        409: 'Conflict',
+        413: 'Payload too large',
+        415: 'Unsupported media type',
         500: 'Internal server error',
         503: 'Service unavailable'  
     },
@@ -68,8 +73,40 @@ class NotFoundError extends AppError {
 }
 
 class ValidationError extends AppError {
-    constructor(message) {
+    constructor(message, details) {
         super(message || 'Validation failed', 400, 'VALIDATION_ERROR');
+        // Optional structured context, e.g. { fields: { email: 'Email is required' } }
+        this.details = details || null;
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message) {
+        super(message || 'Unauthorized', 401, 'UNAUTHORIZED');
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message || 'Forbidden', 403, 'FORBIDDEN');
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message) {
+        super(message || 'Conflict', 409, 'CONFLICT');
+    }
+}
+
+class PayloadTooLargeError extends AppError {
+    constructor(message) {
+        super(message || 'Payload too large', 413, 'PAYLOAD_TOO_LARGE');
+    }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+    constructor(message) {
+        super(message || 'Unsupported media type', 415, 'UNSUPPORTED_MEDIA_TYPE');
     }
 }
 
@@ -119,20 +156,28 @@ const mapNodeErrorToAppError = (error) => {
  * @returns {Object} Standardized error response
  */
 const createErrorResponse = (appError) => {
-    return {
+    const response = {
         error: appError.errorCode,
         message: appError.message,
         statusCode: appError.statusCode,
         timestamp: appError.timestamp
     };
+    
+    if (appError.details) {
+        response.details = appError.details;
+    }
+    
+    return response;
 };
 
 /**
  * Generates an HTML error page
+ * Messages can contain request values, so everything inserted into the page is escaped
  * @param {AppError} appError - Application error object
+ * @param {string} [nonce] - CSP nonce of the request, needed for the inline style
  * @returns {string} HTML content
  */
-const generateErrorHtml = (appError) => {
+const generateErrorHtml = (appError, nonce) => {
     const isNotFound = appError.statusCode === 404;
     const title = isNotFound ? '404 - Not Found' : `Error ${appError.statusCode}`;
     const heading = isNotFound ? '404 - Not Found' : `Error ${appError.statusCode}`;
@@ -140,8 +185,8 @@ const generateErrorHtml = (appError) => {
     return `
         <html>
             <head>
-                <title>${title}</title>
-                <style>
+                <title>${escapeHtml(title)}</title>
+                <style${nonce ? ` nonce="${nonce}"` : ''}>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 650px; margin: 0 auto; padding: 20px; }
                     h1 { color: #e74c3c; }
                     .error-container { border: 1px solid #ddd; padding: 20px; border-radius: 5px; }
@@ -151,8 +196,8 @@ const generateErrorHtml = (appError) => {
             </head>
             <body>
                 <div class="error-container">
-                    <h1>${heading}</h1>
-                    <p>${appError.message}</p>
+                    <h1>${escapeHtml(heading)}</h1>
+                    <p>${escapeHtml(appError.message)}</p>
                     <a class="home-link" href="/">Go to Home</a>
                 </div>
             </body>
@@ -215,7 +260,7 @@ const handleHttpError = (error, res, logger) => {
             'Content-Type': 'text/html',
             'X-Error-Code': appError.errorCode
         });
-        res.end(generateErrorHtml(appError));
+        res.end(generateErrorHtml(appError, res.req && res.req.cspNonce));
     }
 };
 
@@ -248,6 +293,11 @@ module.exports = {
     AppError,
     NotFoundError,
     ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    ConflictError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
     ServerError,
     FileError,
     mapNodeErrorToAppError,
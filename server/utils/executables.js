@@ -0,0 +1,31 @@
+/**
+ * Executable lookup
+ * Finds binaries on the PATH the way a shell would, without spawning one.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Finds a binary on the PATH
+ * @param {string} name - Binary name
+ * @param {string} [searchPath] - PATH to search (defaults to the server's PATH)
+ * @returns {string|null} Full path of the executable, or null when not found
+ */
+function findExecutable(name, searchPath = process.env.PATH) {
+    const dirs = (searchPath || '').split(path.delimiter).filter(Boolean);
+
+    for (const dir of dirs) {
+        const candidate = path.join(dir, name);
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            if (fs.statSync(candidate).isFile()) return candidate;
+        } catch (error) {
+            // Not in this directory
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    findExecutable
+};
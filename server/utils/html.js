@@ -0,0 +1,22 @@
+/**
+ * HTML helpers for pages and mails rendered on the server
+ */
+
+/**
+ * Escapes HTML special characters
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeHtml = (value) => {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    }[char]));
+};
+
+module.exports = {
+    escapeHtml
+};
@@ -0,0 +1,101 @@
+/**
+ * JSONL Store
+ * Minimal append-only store that keeps one JSON record per line.
+ * Writes are serialized so concurrent requests never interleave lines.
+ * rewrite() compacts the file when records must really disappear.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+class JsonlStore {
+    /**
+     * @param {string} filePath - Absolute path of the JSONL file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Appends a record as a single line
+     * @param {Object} record - JSON-serializable record
+     * @returns {Promise<Object>} The appended record
+     */
+    append(record) {
+        const line = JSON.stringify(record) + '\n';
+
+        const write = this.writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.appendFile(this.filePath, line, 'utf8');
+            return record;
+        });
+
+        // Keep the queue alive even if this write fails
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Rewrites the whole file (compaction), e.g. to drop deleted records
+     * The transform runs inside the write queue, so no concurrent append is lost,
+     * and the result is written to a temporary file first so readers never see a partial file
+     * @param {Function} transform - Receives the current records, returns the records to keep
+     * @returns {Promise<Array<Object>>} The records that were kept
+     */
+    rewrite(transform) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+        const write = this.writeQueue.then(async () => {
+            const records = transform(await this.readRecords());
+            const content = records.map(record => JSON.stringify(record) + '\n').join('');
+
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tempPath, content, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+            return records;
+        });
+
+        this.writeQueue = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Reads all records in insertion order
+     * @returns {Promise<Array<Object>>} Stored records
+     */
+    async readAll() {
+        // Wait for pending writes so readers see their own appends
+        await this.writeQueue;
+        return this.readRecords();
+    }
+
+    /**
+     * Reads and parses the file without waiting for the write queue
+     * Malformed lines (e.g. a partial write after a crash) are skipped
+     * @returns {Promise<Array<Object>>} Stored records
+     * @private
+     */
+    async readRecords() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return content.split('\n').filter(Boolean).reduce((records, line, index) => {
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                logger('warn', `Skipping malformed line ${index + 1} in ${this.filePath}`);
+            }
+            return records;
+        }, []);
+    }
+}
+
+module.exports = { JsonlStore };
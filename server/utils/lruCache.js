@@ -0,0 +1,108 @@
+/**
+ * LRU Cache
+ * Least-recently-used cache with a size budget and hit/miss statistics.
+ *
+ * Entries are weighed by a size given when they are stored (bytes for file contents,
+ * 1 to count entries); the least recently used entries are evicted once the total
+ * exceeds maxSize. The Map keeps entries in order of use, so lookups, updates and
+ * evictions are all O(1).
+ */
+class LruCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxSize - Total size of all entries
+     * @param {number} [options.ttl=Infinity] - Milliseconds an entry stays valid
+     */
+    constructor({ maxSize, ttl = Infinity }) {
+        this.maxSize = maxSize;
+        this.ttl = ttl;
+        this.entries = new Map();
+        this.size = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Gets an entry and marks it as most recently used
+     * @param {string} key - Entry key
+     * @returns {*} The value, or undefined when missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || Date.now() > entry.expiresAt) {
+            if (entry) this.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Re-inserting moves the entry to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Stores an entry, evicting least recently used entries to stay within maxSize
+     * @param {string} key - Entry key
+     * @param {*} value - Value
+     * @param {number} [size=1] - Size the entry counts against maxSize
+     * @returns {boolean} Whether the entry was stored; entries larger than maxSize are not
+     */
+    set(key, value, size = 1) {
+        const existing = this.entries.get(key);
+        this.delete(key);
+        if (size > this.maxSize) {
+            return false;
+        }
+
+        // An update keeps the original expiry, so changed sizes do not extend the ttl
+        const expiresAt = existing ? existing.expiresAt : Date.now() + this.ttl;
+        this.entries.set(key, { value, size, expiresAt });
+        this.size += size;
+
+        while (this.size > this.maxSize) {
+            const [oldestKey] = this.entries.keys();
+            this.delete(oldestKey);
+            this.stats.evictions++;
+        }
+        return true;
+    }
+
+    /**
+     * Removes an entry
+     * @param {string} key - Entry key
+     * @returns {boolean} Whether the entry existed
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.size -= entry.size;
+        return true;
+    }
+
+    /**
+     * Removes every entry; statistics are kept
+     */
+    clear() {
+        this.entries.clear();
+        this.size = 0;
+    }
+
+    /**
+     * Reports the cache usage
+     * @returns {Object} { entries, size, maxSize, hits, misses, evictions, hitRate }
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            entries: this.entries.size,
+            size: this.size,
+            maxSize: this.maxSize,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+        };
+    }
+}
+
+module.exports = { LruCache };
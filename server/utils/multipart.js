@@ -0,0 +1,301 @@
+/**
+ * Multipart Parser
+ * Streaming parser for multipart/form-data request bodies (RFC 7578).
+ *
+ * File parts are written straight to disk as they arrive, so uploads never have to
+ * fit in memory; text fields are collected as strings. Every limit is checked while
+ * the body streams in, and files that were already written are removed when the
+ * request is rejected.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('./errorHandler');
+
+// Longest header block accepted for a single part
+const MAX_HEADER_SIZE = 16 * 1024;
+
+// Room for part headers and boundaries when checking Content-Length up front
+const ENVELOPE_OVERHEAD = 64 * 1024;
+
+/**
+ * Extracts the boundary of a multipart/form-data request
+ * @param {string} contentType - Content-Type header
+ * @returns {string} Boundary
+ * @throws {UnsupportedMediaTypeError} If the request is not multipart/form-data
+ * @throws {ValidationError} If the boundary is missing
+ */
+function getBoundary(contentType = '') {
+    const [type, ...params] = contentType.split(';').map(part => part.trim());
+    if (type.toLowerCase() !== 'multipart/form-data') {
+        throw new UnsupportedMediaTypeError('Expected a multipart/form-data request');
+    }
+
+    const boundary = params
+        .map(param => /^boundary=(?:"([^"]+)"|(.+))$/i.exec(param))
+        .filter(Boolean)
+        .map(match => match[1] || match[2])[0];
+
+    if (!boundary || boundary.length > 70) {
+        throw new ValidationError('Missing or invalid multipart boundary');
+    }
+    return boundary;
+}
+
+/**
+ * Parses the header block of a part
+ * @param {string} block - Header lines separated by CRLF
+ * @returns {Object} { name, fileName, contentType }; fileName is undefined for plain fields
+ * @throws {ValidationError} If the part has no form-data Content-Disposition
+ */
+function parsePartHeaders(block) {
+    const headers = {};
+    block.split('\r\n').forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const name = /(?:^|;)\s*name="([^"]*)"/i.exec(disposition);
+    if (!/^form-data/i.test(disposition) || !name) {
+        throw new ValidationError('Multipart part without a form-data Content-Disposition');
+    }
+
+    const fileName = /(?:^|;)\s*filename="([^"]*)"/i.exec(disposition);
+    return {
+        name: name[1],
+        fileName: fileName ? fileName[1] : undefined,
+        // RFC 7578: file parts without a type are application/octet-stream
+        contentType: (headers['content-type'] || (fileName ? 'application/octet-stream' : 'text/plain'))
+            .split(';')[0].trim().toLowerCase()
+    };
+}
+
+/**
+ * Checks a content type against a list of allowed types
+ * @param {string} contentType - Type of the part, without parameters
+ * @param {Array<string>} allowedTypes - Exact types or wildcards such as 'text/*'
+ * @returns {boolean} Whether the type is allowed; an empty list allows every type
+ */
+function isAllowedType(contentType, allowedTypes) {
+    if (allowedTypes.length === 0) return true;
+    return allowedTypes.some(allowed => allowed === contentType ||
+        (allowed.endsWith('/*') && contentType.startsWith(allowed.slice(0, -1))));
+}
+
+/**
+ * Keeps the last path segment of a client-supplied file name
+ * @param {string} fileName - File name from the Content-Disposition header
+ * @returns {string} Safe display name
+ */
+const sanitizeFileName = (fileName) => {
+    const base = path.basename(fileName.replace(/\\/g, '/')).replace(/[\u0000-\u001f"]/g, '');
+    return base.slice(-200) || 'upload';
+};
+
+/**
+ * Parses a multipart/form-data request body
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} options - Parser options
+ * @param {string} options.uploadDir - Directory that receives uploaded files (created if missing)
+ * @param {number} options.maxFileSize - Bytes per file
+ * @param {number} [options.maxFiles=1] - Number of files
+ * @param {number} [options.maxFields=20] - Number of text fields
+ * @param {number} [options.maxFieldSize=1024] - Bytes per text field
+ * @param {Array<string>} [options.allowedTypes=[]] - Accepted file types, e.g. ['text/*']
+ * @returns {Promise<Object>} { fields, files }; files are { field, fileName, contentType, path, size }
+ * @throws {UnsupportedMediaTypeError} If the request or a file has an unsupported type
+ * @throws {PayloadTooLargeError} If a file, a field or the number of parts exceeds its limit
+ * @throws {ValidationError} If the body is malformed
+ */
+function parseMultipart(req, { uploadDir, maxFileSize, maxFiles = 1, maxFields = 20, maxFieldSize = 1024, allowedTypes = [] }) {
+    return new Promise((resolve, reject) => {
+        const boundary = getBoundary(req.headers['content-type']);
+
+        const contentLength = Number(req.headers['content-length']);
+        if (contentLength > maxFileSize * maxFiles + maxFieldSize * maxFields + ENVELOPE_OVERHEAD) {
+            throw new PayloadTooLargeError(`Upload exceeds ${maxFileSize} bytes`);
+        }
+
+        // Every delimiter but the first is preceded by CRLF; prepending one makes them all alike
+        const delimiter = Buffer.from(`\r\n--${boundary}`);
+        let buffer = Buffer.from('\r\n');
+        let state = 'preamble';
+        let part = null;
+        let failed = false;
+        let discarded = 0;
+
+        const fields = {};
+        const files = [];
+        const pendingWrites = [];
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            if (part && part.stream) part.stream.destroy();
+            // Drain the rest of the body so the error response can still be sent
+            req.resume();
+            Promise.allSettled(pendingWrites)
+                .then(() => Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {}))))
+                .then(() => reject(error));
+        };
+
+        const startPart = (headerBlock) => {
+            const headers = parsePartHeaders(headerBlock);
+
+            // A file input left empty is sent as a file part without a name
+            if (headers.fileName === '') {
+                part = { skip: true };
+                return;
+            }
+
+            if (headers.fileName === undefined) {
+                if (Object.keys(fields).length >= maxFields) {
+                    throw new PayloadTooLargeError(`More than ${maxFields} form fields`);
+                }
+                part = { ...headers, size: 0, chunks: [] };
+                return;
+            }
+
+            if (files.length >= maxFiles) {
+                throw new PayloadTooLargeError(`More than ${maxFiles} file(s) in the upload`);
+            }
+            if (!isAllowedType(headers.contentType, allowedTypes)) {
+                throw new UnsupportedMediaTypeError(`Unsupported file type: ${headers.contentType}. Allowed: ${allowedTypes.join(', ')}`);
+            }
+
+            const file = {
+                field: headers.name,
+                fileName: sanitizeFileName(headers.fileName),
+                contentType: headers.contentType,
+                path: path.join(uploadDir, crypto.randomUUID()),
+                size: 0
+            };
+            const stream = fs.createWriteStream(file.path);
+            // Settles once the file is closed, also when the stream is destroyed after a failure
+            pendingWrites.push(new Promise((resolveWrite, rejectWrite) => {
+                stream.once('close', resolveWrite);
+                stream.once('error', rejectWrite);
+            }));
+            stream.once('error', fail);
+            files.push(file);
+            part = { ...headers, file, stream, size: 0 };
+        };
+
+        const writePart = (data) => {
+            if (part.skip || data.length === 0) return;
+            part.size += data.length;
+
+            if (part.stream) {
+                if (part.size > maxFileSize) {
+                    throw new PayloadTooLargeError(`File exceeds ${maxFileSize} bytes`);
+                }
+                part.file.size = part.size;
+                // Respect backpressure from the disk
+                if (!part.stream.write(data)) {
+                    req.pause();
+                    part.stream.once('drain', () => req.resume());
+                }
+                return;
+            }
+
+            if (part.size > maxFieldSize) {
+                throw new PayloadTooLargeError(`Form field ${part.name} exceeds ${maxFieldSize} bytes`);
+            }
+            part.chunks.push(data);
+        };
+
+        const endPart = () => {
+            if (part.stream) {
+                part.stream.end();
+            } else if (!part.skip) {
+                fields[part.name] = Buffer.concat(part.chunks).toString('utf8');
+            }
+            part = null;
+        };
+
+        // Consumes as much of the buffer as possible; returns when more data is needed
+        const processBuffer = () => {
+            while (!failed) {
+                if (state === 'preamble' || state === 'body') {
+                    const index = buffer.indexOf(delimiter);
+                    if (index === -1) {
+                        // Keep a possible partial delimiter at the end for the next chunk
+                        const safe = Math.max(0, buffer.length - (delimiter.length - 1));
+                        if (state === 'body') writePart(buffer.subarray(0, safe));
+                        buffer = buffer.subarray(safe);
+                        return;
+                    }
+                    if (state === 'body') {
+                        writePart(buffer.subarray(0, index));
+                        endPart();
+                    }
+                    buffer = buffer.subarray(index + delimiter.length);
+                    state = 'delimiter';
+                } else if (state === 'delimiter') {
+                    if (buffer.length < 2) return;
+                    const next = buffer.toString('latin1', 0, 2);
+                    if (next === '--') {
+                        state = 'done';
+                        return;
+                    }
+                    if (next !== '\r\n') {
+                        throw new ValidationError('Malformed multipart body');
+                    }
+                    buffer = buffer.subarray(2);
+                    state = 'headers';
+                } else if (state === 'headers') {
+                    const index = buffer.indexOf('\r\n\r\n');
+                    if (index === -1) {
+                        if (buffer.length > MAX_HEADER_SIZE) {
+                            throw new ValidationError('Multipart part headers are too large');
+                        }
+                        return;
+                    }
+                    startPart(buffer.toString('utf8', 0, index));
+                    buffer = buffer.subarray(index + 4);
+                    state = 'body';
+                } else {
+                    // Epilogue after the closing delimiter is ignored
+                    return;
+                }
+            }
+        };
+
+        fs.promises.mkdir(uploadDir, { recursive: true }).then(() => {
+            req.on('data', chunk => {
+                if (failed) {
+                    // Give up on clients that keep sending far beyond the limit
+                    discarded += chunk.length;
+                    if (discarded > maxFileSize) req.destroy();
+                    return;
+                }
+                buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+                try {
+                    processBuffer();
+                } catch (error) {
+                    fail(error);
+                }
+            });
+
+            req.on('end', () => {
+                if (failed) return;
+                if (state !== 'done') {
+                    fail(new ValidationError('Incomplete multipart body'));
+                    return;
+                }
+                Promise.all(pendingWrites)
+                    .then(() => resolve({ fields, files }))
+                    .catch(fail);
+            });
+
+            req.on('error', () => fail(new ValidationError('Error reading request body')));
+        }).catch(reject);
+    });
+}
+
+module.exports = {
+    parseMultipart
+};
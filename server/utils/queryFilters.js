@@ -0,0 +1,70 @@
+/**
+ * Query Filters
+ * Parsers for the filter and paging parameters of list endpoints
+ */
+const { ValidationError } = require('./errorHandler');
+
+/**
+ * Parses a date filter; date-only upper bounds include the whole day
+ * @param {string} value - ISO date or date-time
+ * @param {string} name - Parameter name for error messages
+ * @param {boolean} [endOfDay=false] - Whether a date-only value means the end of that day
+ * @returns {number|null} Timestamp or null when not set
+ * @throws {ValidationError} If the date is invalid
+ */
+const parseDateFilter = (value, name, endOfDay = false) => {
+    if (!value) return null;
+
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const timestamp = Date.parse(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+
+    if (Number.isNaN(timestamp)) {
+        throw new ValidationError(`Invalid date for ${name}`);
+    }
+    return timestamp;
+};
+
+/**
+ * Parses a positive integer query parameter
+ * @param {string} value - Raw value
+ * @param {number} fallback - Value when not set
+ * @param {string} name - Parameter name for error messages
+ * @returns {number} Parsed value
+ * @throws {ValidationError} If the value is not a positive integer
+ */
+const parsePositiveInt = (value, fallback, name) => {
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new ValidationError(`${name} must be a positive integer`);
+    }
+    return number;
+};
+
+/**
+ * Pages a list of matches
+ * @param {Array} matches - All matching records, already sorted
+ * @param {Object} query - Query parameters with page and pageSize
+ * @param {Object} defaults - { defaultPageSize, maxPageSize }
+ * @returns {Object} { items, total, page, pageSize, totalPages }
+ * @throws {ValidationError} If page or pageSize is not a positive integer
+ */
+const paginate = (matches, query, { defaultPageSize, maxPageSize }) => {
+    const page = parsePositiveInt(query.page, 1, 'page');
+    const pageSize = Math.min(parsePositiveInt(query.pageSize, defaultPageSize, 'pageSize'), maxPageSize);
+
+    return {
+        items: matches.slice((page - 1) * pageSize, page * pageSize),
+        total: matches.length,
+        page,
+        pageSize,
+        totalPages: Math.max(1, Math.ceil(matches.length / pageSize))
+    };
+};
+
+module.exports = {
+    parseDateFilter,
+    parsePositiveInt,
+    paginate
+};
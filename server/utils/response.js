@@ -0,0 +1,171 @@
+/**
+ * Response helpers for API routes
+ * Keeps JSON serialization and conditional GET handling consistent across handlers
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream');
+const { logger } = require('./logger');
+const { NotFoundError } = require('./errorHandler');
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response payload
+ * @param {Object} [headers] - Additional response headers
+ */
+function sendJson(res, statusCode, data, headers = {}) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        ...headers
+    });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Creates a strong ETag for a response body
+ * @param {string|Buffer} body - Response body
+ * @returns {string} Quoted ETag value
+ */
+function createEtag(body) {
+    const hash = crypto.createHash('sha1').update(body).digest('base64').replace(/=+$/, '');
+    return `"${Buffer.byteLength(body).toString(16)}-${hash}"`;
+}
+
+/**
+ * Creates a strong ETag for a file
+ * @param {fs.Stats} stats - File stats
+ * @param {string} digest - Hash of the file content
+ * @returns {string} Quoted ETag value built from size, modification time and content hash
+ */
+function createFileEtag(stats, digest) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}-${digest}"`;
+}
+
+/**
+ * Checks whether the client's If-None-Match header matches an ETag
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {string} etag - Current ETag of the resource
+ * @returns {boolean} Whether the client copy is still fresh
+ */
+function isEtagFresh(req, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (!ifNoneMatch) {
+        return false;
+    }
+
+    if (ifNoneMatch.trim() === '*') {
+        return true;
+    }
+
+    // Weak comparison as required for If-None-Match (RFC 9110 13.1.2)
+    const stripWeak = tag => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some(tag => stripWeak(tag) === stripWeak(etag));
+}
+
+/**
+ * Checks the conditional headers of a GET or HEAD request
+ * If-None-Match takes precedence; If-Modified-Since is only used without it (RFC 9110 13.2.2)
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {Object} validators - Current validators of the resource
+ * @param {string} validators.etag - ETag
+ * @param {string} [validators.lastModified] - Last-Modified date (HTTP date)
+ * @returns {boolean} Whether a 304 Not Modified can be sent
+ */
+function isNotModified(req, { etag, lastModified }) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return false;
+    }
+    if (req.headers['if-none-match']) {
+        return isEtagFresh(req, etag);
+    }
+
+    const since = Date.parse(req.headers['if-modified-since']);
+    return Boolean(lastModified) && !Number.isNaN(since) && Date.parse(lastModified) <= since;
+}
+
+/**
+ * Sends a cacheable JSON response, answering 304 when the client copy is fresh
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Object} data - Response payload
+ * @param {Object} [headers] - Additional response headers
+ */
+function sendCachedJson(req, res, data, headers = {}) {
+    const body = JSON.stringify(data);
+    const etag = createEtag(body);
+    const cacheHeaders = {
+        'ETag': etag,
+        'Cache-Control': 'no-cache',
+        ...headers
+    };
+
+    if (isEtagFresh(req, etag)) {
+        res.writeHead(304, cacheHeaders);
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/json',
+        ...cacheHeaders
+    });
+    res.end(body);
+}
+
+/**
+ * Streams a file to the client
+ * The headers are sent only once the file is open, so a file that is gone answers with an error
+ * instead of a 200 with no body
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} filePath - File to send
+ * @param {Object} options - Response options
+ * @param {string} options.contentType - Content-Type header
+ * @param {number} options.size - File size in bytes
+ * @param {string} [options.fileName] - Name offered to the browser
+ * @param {boolean} [options.download=false] - Whether to ask the browser to save the file
+ * @returns {Promise<void>} Resolves once the headers are sent
+ * @throws {NotFoundError} If the file does not exist
+ */
+function sendFile(res, filePath, { contentType, size, fileName, download = false }) {
+    const headers = {
+        'Content-Type': contentType,
+        'Content-Length': size,
+        'Cache-Control': 'no-store'
+    };
+    if (fileName) {
+        // Plain ASCII fallback plus the RFC 5987 encoded name for everything else
+        const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+        headers['Content-Disposition'] = `${download ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+    }
+
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath);
+        const onOpenError = (error) => {
+            reject(error.code === 'ENOENT' ? new NotFoundError('File not found') : error);
+        };
+        stream.once('error', onOpenError);
+
+        stream.once('open', () => {
+            stream.removeListener('error', onOpenError);
+            res.writeHead(200, headers);
+            pipeline(stream, res, error => {
+                if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                    logger('error', `Error streaming ${filePath}: ${error.message}`);
+                }
+            });
+            resolve();
+        });
+    });
+}
+
+module.exports = {
+    sendJson,
+    sendFile,
+    createEtag,
+    createFileEtag,
+    isEtagFresh,
+    isNotModified,
+    sendCachedJson
+};
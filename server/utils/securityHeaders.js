@@ -0,0 +1,77 @@
+/**
+ * Security Headers
+ * Middleware that sends the policies of config.security with every response:
+ * Content-Security-Policy (or Content-Security-Policy-Report-Only in report-only mode),
+ * the fixed headers of security.headers and, in production, Strict-Transport-Security.
+ *
+ * Every request gets a fresh nonce in req.cspNonce. It replaces the 'nonce' placeholder
+ * of the configured directives, and addCspNonce() puts it on the script and style tags of
+ * HTML pages, so their inline scripts and styles run without 'unsafe-inline'.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+
+// Placeholder in config.security.contentSecurityPolicy for the nonce of the request
+const NONCE_SOURCE = "'nonce'";
+
+// Reporting API endpoint name used by report-to
+const REPORT_ENDPOINT = 'csp-endpoint';
+
+/**
+ * Builds the Content-Security-Policy header value for a request
+ * @param {string} nonce - Nonce of the request
+ * @returns {string} Header value
+ */
+function buildContentSecurityPolicy(nonce) {
+    const { contentSecurityPolicy, reportUri } = config.security;
+    const directives = Object.entries(contentSecurityPolicy).map(([name, sources]) => {
+        const values = sources.map(source => source === NONCE_SOURCE ? `'nonce-${nonce}'` : source);
+        return [name, ...values].join(' ');
+    });
+
+    // report-uri for older browsers, report-to for the Reporting API
+    if (reportUri) {
+        directives.push(`report-uri ${reportUri}`, `report-to ${REPORT_ENDPOINT}`);
+    }
+    return directives.join('; ');
+}
+
+/**
+ * Middleware that sets the security headers and req.cspNonce
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+async function securityHeaders(req, res, next) {
+    const { reportOnly, reportUri, headers, hsts } = config.security;
+
+    req.cspNonce = crypto.randomBytes(16).toString('base64');
+    res.setHeader(reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy',
+        buildContentSecurityPolicy(req.cspNonce));
+    if (reportUri) {
+        res.setHeader('Reporting-Endpoints', `${REPORT_ENDPOINT}="${reportUri}"`);
+    }
+
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    if (hsts) {
+        res.setHeader('Strict-Transport-Security', hsts);
+    }
+    await next();
+}
+
+/**
+ * Adds a nonce to the script and style tags of an HTML page
+ * Tags that already carry a nonce are left alone
+ * @param {Buffer} html - Page content
+ * @param {string} nonce - Nonce of the request
+ * @returns {Buffer} Page with nonces
+ */
+function addCspNonce(html, nonce) {
+    const page = html.toString('utf8').replace(/<(script|style)\b(?![^>]*\bnonce=)/gi, `<$1 nonce="${nonce}"`);
+    return Buffer.from(page, 'utf8');
+}
+
+module.exports = {
+    securityHeaders,
+    addCspNonce
+};
@@ -0,0 +1,34 @@
+/**
+ * Shared Modules Loader
+ * Loads ES modules from the client tree (js/modules) so the server can reuse
+ * browser-safe code such as project data and validation rules.
+ * The js/ directory is marked as "type": "module" so Node can import it directly.
+ */
+const path = require('path');
+const { pathToFileURL } = require('url');
+const config = require('../config');
+
+// Cache of module promises keyed by absolute path
+const moduleCache = new Map();
+
+/**
+ * Imports a shared ES module relative to js/modules
+ * @param {string} relativePath - Module path relative to js/modules (e.g. 'data/projectData.js')
+ * @returns {Promise<Object>} Module namespace object
+ */
+function loadSharedModule(relativePath) {
+    const modulePath = path.join(config.paths.sharedModules, relativePath);
+
+    if (!moduleCache.has(modulePath)) {
+        const modulePromise = import(pathToFileURL(modulePath).href).catch(error => {
+            // Do not cache failures so a fixed module can be loaded on the next request
+            moduleCache.delete(modulePath);
+            throw error;
+        });
+        moduleCache.set(modulePath, modulePromise);
+    }
+
+    return moduleCache.get(modulePath);
+}
+
+module.exports = { loadSharedModule };
@@ -0,0 +1,93 @@
+/**
+ * Server-Sent Events helper
+ * Opens a text/event-stream response and formats events according to the
+ * EventSource specification, with periodic heartbeats to keep proxies from
+ * closing idle connections.
+ */
+
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Reads the id of the last event the client received
+ * Browsers send it in the Last-Event-ID header when reconnecting;
+ * ?lastEventId= allows resuming from a fresh EventSource as well
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {number} Last event id, or 0 when none
+ */
+function getLastEventId(req) {
+    const value = req.headers['last-event-id'] || (req.query && req.query.lastEventId);
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : 0;
+}
+
+/**
+ * Starts an event stream on a response
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Object} [options] - Stream options
+ * @param {number} [options.retry=2000] - Reconnect delay suggested to the client in milliseconds
+ * @param {Function} [options.onClose] - Called once when the stream closes
+ * @returns {Object} Stream with send(event, data, id), comment(text) and close()
+ */
+function openEventStream(req, res, { retry = 2000, onClose = () => {} } = {}) {
+    let closed = false;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Disable response buffering in nginx
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retry}\n\n`);
+
+    const heartbeat = setInterval(() => stream.comment('heartbeat'), HEARTBEAT_INTERVAL);
+
+    const stream = {
+        /**
+         * Sends an event
+         * @param {string} event - Event name
+         * @param {*} data - Event payload, serialized as JSON
+         * @param {number|string} [id] - Event id used for Last-Event-ID on reconnect
+         */
+        send(event, data, id) {
+            if (closed) return;
+            const lines = [];
+            if (id !== undefined && id !== null) lines.push(`id: ${id}`);
+            lines.push(`event: ${event}`);
+            JSON.stringify(data).split('\n').forEach(line => lines.push(`data: ${line}`));
+            res.write(`${lines.join('\n')}\n\n`);
+        },
+
+        /**
+         * Sends a comment line, ignored by EventSource
+         * @param {string} text - Comment text
+         */
+        comment(text) {
+            if (!closed) res.write(`: ${text}\n\n`);
+        },
+
+        /**
+         * Ends the stream
+         */
+        close() {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            res.end();
+            onClose();
+        },
+
+        get closed() {
+            return closed;
+        }
+    };
+
+    req.on('close', () => stream.close());
+    return stream;
+}
+
+module.exports = {
+    openEventStream,
+    getLastEventId
+};